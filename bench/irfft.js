@@ -0,0 +1,23 @@
+var bufferSize = 2048;
+var sampleRate = 44100;
+var frequency = FREQUENCY || 440;
+
+var fft = new RFFT(bufferSize, sampleRate);
+var osc = new Oscillator(DSP.SAW, frequency, 1.0, bufferSize, sampleRate);
+var signal = osc.generate();
+
+fft.forward(signal);
+
+var trans = new Float32Array(fft.trans);
+var resynth;
+
+var duration = benchmark(function() { resynth = fft.inverse(trans); });
+
+var error = 0;
+
+for (var i = 0; i < bufferSize; i++) {
+  error = Math.max(error, Math.abs(resynth[i] - signal[i]));
+}
+
+print("Max resynthesis error: " + error);
+print("10000 inverse FFTs: " + (duration) + " ms (" + ((duration) / 10000) + "ms per inverse FFT)\n");
@@ -30,6 +30,17 @@ var DSP = {
   HIGHPASS:       1,
   BANDPASS:       2,
   NOTCH:          3,
+  BANDSTOP:       3,
+
+  // Resonant IIRFilter slopes
+  LP12:           0,
+  HP12:           1,
+  BP12:           2,
+  NOTCH12:        3,
+  LP24:           5,
+  HP24:           6,
+  BP24:           7,
+  NOTCH24:        8,
 
   // Window functions
   BARTLETT:       1,
@@ -42,6 +53,9 @@ var DSP = {
   LANCZOS:        8,
   RECTANGULAR:    9,
   TRIANGULAR:     10,
+  KBD:            11,
+  SINEWINDOW:     12,
+  KAISER:         13,
 
   // Loop modes
   OFF:            0,
@@ -49,6 +63,47 @@ var DSP = {
   BW:             2,
   FWBW:           3,
 
+  // Padding modes
+  NOPAD:          0,
+  ZEROPAD:        1,
+  CENTERPAD:      2,
+
+  // Convolution methods
+  OVERLAP_ADD:    1,
+  OVERLAP_SAVE:   2,
+
+  // Convolution partitioning
+  UNIFORM:        1,
+  NONUNIFORM:     2,
+
+  // Filterbank scales
+  MEL_HTK:        1,
+  MEL_SLANEY:     2,
+  BARK:           3,
+  ERB:            4,
+
+  // Pitch detection methods
+  YIN:            1,
+  AUTOCORRELATION: 2,
+
+  // Onset detection functions
+  SPECTRAL_FLUX:  1,
+  HFC:            2,
+  COMPLEX_DOMAIN: 3,
+  ENERGY:         4,
+
+  // Spectrum output modes (combine with |)
+  POWER:          1,
+  DECIBELS:       2,
+  PHASE:          4,
+  UNWRAPPED_PHASE: 8,
+
+  // IIR filter prototypes
+  BUTTERWORTH:    1,
+  CHEBYSHEV1:     2,
+  CHEBYSHEV2:     3,
+  ELLIPTIC:       4,
+
   // Math
   TWO_PI:         2*Math.PI
 };
@@ -244,13 +299,18 @@ function FourierTransform(bufferSize, sampleRate) {
   this.sampleRate = sampleRate;
   this.bandwidth  = 2 / bufferSize * sampleRate / 2;
 
-  this.spectrum   = new Float32Array(bufferSize/2);
+  this.spectrum   = new Float32Array(Math.floor(bufferSize/2));
   this.real       = new Float32Array(bufferSize);
   this.imag       = new Float32Array(bufferSize);
 
   this.peakBand   = 0;
   this.peak       = 0;
 
+  // Extra outputs calculated along with the spectrum, see setOutputModes
+  this.outputModes = 0;
+  this.dbReference = 1;
+  this.dbFloor     = -120;
+
   /**
    * Calculates the *middle* frequency of an FFT band.
    *
@@ -272,7 +332,7 @@ function FourierTransform(bufferSize, sampleRate) {
         ival,
         mag;
 
-    for (var i = 0, N = bufferSize/2; i < N; i++) {
+    for (var i = 0, N = spectrum.length; i < N; i++) {
       rval = real[i];
       ival = imag[i];
       mag = bSi * sqrt(rval * rval + ival * ival);
@@ -284,6 +344,98 @@ function FourierTransform(bufferSize, sampleRate) {
 
       spectrum[i] = mag;
     }
+
+    if (this.outputModes) {
+      this.calculateOutputs();
+    }
+  };
+
+  /**
+   * Selects the outputs calculated from real and imag on every transform,
+   * in addition to the magnitude spectrum:
+   *
+   *   DSP.POWER           this.power, the one-sided power spectral density in units^2/Hz
+   *   DSP.DECIBELS        this.decibels, the spectrum in dB relative to dbReference
+   *                       (dBFS for the default of 1), never below dbFloor
+   *   DSP.PHASE           this.phase, the phase in radians (-PI to PI)
+   *   DSP.UNWRAPPED_PHASE this.unwrappedPhase, the phase without 2*PI jumps between bands
+   *
+   * @param {Number} modes       Output mode constants combined with | (0 for none)
+   * @param {Number} dbReference The spectrum value of 0 dB (default 1)
+   * @param {Number} dbFloor     The lowest dB value (default -120)
+   */
+  this.setOutputModes = function(modes, dbReference, dbFloor) {
+    var size = this.spectrum.length;
+
+    this.outputModes = modes;
+    this.dbReference = dbReference || 1;
+    this.dbFloor     = typeof dbFloor === "undefined" ? -120 : dbFloor;
+
+    if ((modes & DSP.POWER) && !this.power) {
+      this.power = new Float32Array(size);
+    }
+
+    if ((modes & DSP.DECIBELS) && !this.decibels) {
+      this.decibels = new Float32Array(size);
+    }
+
+    if ((modes & DSP.PHASE) && !this.phase) {
+      this.phase = new Float32Array(size);
+    }
+
+    if ((modes & DSP.UNWRAPPED_PHASE) && !this.unwrappedPhase) {
+      this.unwrappedPhase = new Float32Array(size);
+    }
+  };
+
+  this.calculateOutputs = function() {
+    var modes     = this.outputModes,
+        spectrum  = this.spectrum,
+        real      = this.real,
+        imag      = this.imag,
+        power     = this.power,
+        decibels  = this.decibels,
+        phase     = this.phase,
+        unwrapped = this.unwrappedPhase,
+        psdScale  = 1 / (this.sampleRate * this.bufferSize),
+        dbFloor   = this.dbFloor,
+        minMag    = this.dbReference * Math.pow(10, dbFloor / 20),
+        TWO_PI    = DSP.TWO_PI,
+        N         = spectrum.length,
+        rval, ival, angle, last, delta, i;
+
+    for (i = 0; i < N; i++) {
+      rval = real[i];
+      ival = imag[i];
+
+      if (modes & DSP.POWER) {
+        // one-sided, so every band but DC holds the power of its negative frequency too
+        power[i] = (i === 0 ? 1 : 2) * psdScale * (rval * rval + ival * ival);
+      }
+
+      if (modes & DSP.DECIBELS) {
+        decibels[i] = spectrum[i] > minMag ? 20 * Math.log(spectrum[i] / this.dbReference) / Math.LN10 : dbFloor;
+      }
+
+      if (modes & (DSP.PHASE | DSP.UNWRAPPED_PHASE)) {
+        angle = Math.atan2(ival, rval);
+
+        if (modes & DSP.PHASE) {
+          phase[i] = angle;
+        }
+
+        if (modes & DSP.UNWRAPPED_PHASE) {
+          if (i === 0) {
+            unwrapped[i] = angle;
+          } else {
+            delta = angle - last;
+            unwrapped[i] = unwrapped[i-1] + delta - TWO_PI * Math.round(delta / TWO_PI);
+          }
+
+          last = angle;
+        }
+      }
+    }
   };
 }
 
@@ -382,11 +534,16 @@ function FFT(bufferSize, sampleRate) {
  * Performs a forward transform on the sample buffer.
  * Converts a time domain signal to frequency domain spectra.
  *
- * @param {Array} buffer The sample buffer. Buffer Length must be power of 2
+ * When imagBuffer is given the signal is complex, the full complex result is
+ * left in this.real and this.imag and the spectrum holds the magnitudes of
+ * the positive frequencies.
+ *
+ * @param {Array} buffer     The sample buffer (real part). Buffer Length must be power of 2
+ * @param {Array} imagBuffer The imaginary part of the sample buffer (optional)
  *
  * @returns The frequency spectrum array
  */
-FFT.prototype.forward = function(buffer) {
+FFT.prototype.forward = function(buffer, imagBuffer) {
   // Locally scope variables for speed up
   var bufferSize      = this.bufferSize,
       cosTable        = this.cosTable,
@@ -400,6 +557,7 @@ FFT.prototype.forward = function(buffer) {
 
   if (Math.pow(2, k) !== bufferSize) { throw "Invalid buffer size, must be a power of 2."; }
   if (bufferSize !== buffer.length)  { throw "Supplied buffer is not the same size as defined FFT. FFT Size: " + bufferSize + " Buffer Size: " + buffer.length; }
+  if (imagBuffer && bufferSize !== imagBuffer.length) { throw "Supplied imaginary buffer is not the same size as defined FFT. FFT Size: " + bufferSize + " Buffer Size: " + imagBuffer.length; }
 
   var halfSize = 1,
       phaseShiftStepReal,
@@ -414,7 +572,7 @@ FFT.prototype.forward = function(buffer) {
 
   for (i = 0; i < bufferSize; i++) {
     real[i] = buffer[reverseTable[i]];
-    imag[i] = 0;
+    imag[i] = imagBuffer ? imagBuffer[reverseTable[i]] : 0;
   }
 
   while (halfSize < bufferSize) {
@@ -453,7 +611,17 @@ FFT.prototype.forward = function(buffer) {
   return this.calculateSpectrum();
 };
 
-FFT.prototype.inverse = function(real, imag) {
+/**
+ * Performs an inverse transform on a complex spectrum.
+ * Converts frequency domain spectra to a time domain signal.
+ *
+ * @param {Array} real       The real part of the spectrum (default this.real)
+ * @param {Array} imag       The imaginary part of the spectrum (default this.imag)
+ * @param {Array} imagBuffer Receives the imaginary part of the signal (optional)
+ *
+ * @returns The time domain signal (real part)
+ */
+FFT.prototype.inverse = function(real, imag, imagBuffer) {
   // Locally scope variables for speed up
   var bufferSize      = this.bufferSize,
       cosTable        = this.cosTable,
@@ -475,16 +643,13 @@ FFT.prototype.inverse = function(real, imag) {
       tmpReal,
       i;
 
-  for (i = 0; i < bufferSize; i++) {
-    imag[i] *= -1;
-  }
-
   var revReal = new Float32Array(bufferSize);
   var revImag = new Float32Array(bufferSize);
  
+  // Conjugate while permuting, ifft(X) = conj(fft(conj(X))) / N
   for (i = 0; i < real.length; i++) {
     revReal[i] = real[reverseTable[i]];
-    revImag[i] = imag[reverseTable[i]];
+    revImag[i] = -imag[reverseTable[i]];
   }
  
   real = revReal;
@@ -525,6 +690,12 @@ FFT.prototype.inverse = function(real, imag) {
     buffer[i] = real[i] / bufferSize;
   }
 
+  if (imagBuffer) {
+    for (i = 0; i < bufferSize; i++) {
+      imagBuffer[i] = -imag[i] / bufferSize;
+    }
+  }
+
   return buffer;
 };
 
@@ -532,7 +703,7 @@ FFT.prototype.inverse = function(real, imag) {
  * RFFT is a class for calculating the Discrete Fourier Transform of a signal
  * with the Fast Fourier Transform algorithm.
  *
- * This method currently only contains a forward transform but is highly optimized.
+ * The forward transform is highly optimized, the inverse transform reuses it.
  *
  * @param {Number} bufferSize The size of the sample buffer to be computed. Must be power of 2
  * @param {Number} sampleRate The sampleRate of the buffer (eg. 44100)
@@ -546,7 +717,6 @@ FFT.prototype.inverse = function(real, imag) {
 // also we don't use sepearate arrays for real/imaginary parts
 
 // this one a little more than twice as fast as the one in FFT
-// however I only did the forward transform
 
 // the rest of this was translated from C, see http://www.jjj.de/fxt/
 // this is the real split radix FFT
@@ -555,6 +725,10 @@ function RFFT(bufferSize, sampleRate) {
   FourierTransform.call(this, bufferSize, sampleRate);
 
   this.trans = new Float32Array(bufferSize);
+  this.hartley = new Float32Array(bufferSize);
+
+  // The inverse transforms here, leaving the spectrum in trans untouched
+  this.inverseTrans = new Float32Array(bufferSize);
 
   this.reverseTable = new Uint32Array(bufferSize);
 
@@ -638,21 +812,25 @@ function RFFT(bufferSize, sampleRate) {
 //             ...
 // trans[n-1]   = im[1] 
 
-RFFT.prototype.forward = function(buffer) {
+/**
+ * Performs the split radix real FFT on the sample buffer and leaves the
+ * packed half-complex result (ordered as above) in this.trans.
+ *
+ * @param {Array} buffer The sample buffer. Buffer Length must be power of 2
+ * @param {Array} output Where to leave the result instead of this.trans (optional)
+ *
+ * @returns The packed half-complex trans array
+ */
+RFFT.prototype.transform = function(buffer, output) {
   var n         = this.bufferSize, 
-      spectrum  = this.spectrum,
-      x         = this.trans, 
+      x         = output || this.trans, 
       TWO_PI    = 2*Math.PI,
-      sqrt      = Math.sqrt,
-      i         = n >>> 1,
-      bSi       = 2 / n,
       n2, n4, n8, nn, 
       t1, t2, t3, t4, 
       i1, i2, i3, i4, i5, i6, i7, i8, 
       st1, cc1, ss1, cc3, ss3,
       e, 
-      a,
-      rval, ival, mag; 
+      a; 
 
   this.reverseBinPermute(x, buffer);
 
@@ -809,9 +987,29 @@ RFFT.prototype.forward = function(buffer) {
     }
   }
 
+  return x;
+};
+
+/**
+ * Performs a forward transform on the sample buffer.
+ * Converts a time domain signal to frequency domain spectra.
+ *
+ * @param {Array} buffer The sample buffer. Buffer Length must be power of 2
+ *
+ * @returns The frequency spectrum array
+ */
+RFFT.prototype.forward = function(buffer) {
+  var n         = this.bufferSize, 
+      spectrum  = this.spectrum,
+      x         = this.transform(buffer), 
+      sqrt      = Math.sqrt,
+      i         = n >>> 1,
+      bSi       = 2 / n,
+      rval, ival, mag; 
+
   while (--i) {
     rval = x[i];
-    ival = x[n-i-1];
+    ival = x[n-i];
     mag = bSi * sqrt(rval * rval + ival * ival);
 
     if (mag > this.peak) {
@@ -824,440 +1022,3751 @@ RFFT.prototype.forward = function(buffer) {
 
   spectrum[0] = bSi * x[0];
 
-  return spectrum;
-};
+  if (this.outputModes) {
+    this.real[0] = x[0];
+    this.imag[0] = 0;
 
-function Sampler(file, bufferSize, sampleRate, playStart, playEnd, loopStart, loopEnd, loopMode) {
-  this.file = file;
-  this.bufferSize = bufferSize;
-  this.sampleRate = sampleRate;
-  this.playStart  = playStart || 0; // 0%
-  this.playEnd    = playEnd   || 1; // 100%
-  this.loopStart  = loopStart || 0;
-  this.loopEnd    = loopEnd   || 1;
-  this.loopMode   = loopMode  || DSP.OFF;
-  this.loaded     = false;
-  this.samples    = [];
-  this.signal     = new Float32Array(bufferSize);
-  this.frameCount = 0;
-  this.envelope   = null;
-  this.amplitude  = 1;
-  this.rootFrequency = 110; // A2 110
-  this.frequency  = 550;
-  this.step       = this.frequency / this.rootFrequency;
-  this.duration   = 0;
-  this.samplesProcessed = 0;
-  this.playhead   = 0;
- 
-  var audio = /* new Audio();*/ document.createElement("AUDIO");
-  var self = this;
- 
-  this.loadSamples = function(event) {
-    var buffer = DSP.getChannel(DSP.MIX, event.frameBuffer);
-    for ( var i = 0; i < buffer.length; i++) {
-      self.samples.push(buffer[i]);
+    for (i = 1; i < n >>> 1; i++) {
+      this.real[i] = x[i];
+      this.imag[i] = x[n-i];
     }
-  };
- 
-  this.loadComplete = function() {
-    // convert flexible js array into a fast typed array
-    self.samples = new Float32Array(self.samples);
-    self.loaded = true;
-  };
- 
-  this.loadMetaData = function() {
-    self.duration = audio.duration;
-  };
- 
-  audio.addEventListener("MozAudioAvailable", this.loadSamples, false);
-  audio.addEventListener("loadedmetadata", this.loadMetaData, false);
-  audio.addEventListener("ended", this.loadComplete, false);
-  audio.muted = true;
-  audio.src = file;
-  audio.play();
-}
 
-Sampler.prototype.applyEnvelope = function() {
-  this.envelope.process(this.signal);
-  return this.signal;
+    this.calculateOutputs();
+  }
+
+  return spectrum;
 };
 
-Sampler.prototype.generate = function() {
-  var frameOffset = this.frameCount * this.bufferSize;
- 
-  var loopWidth = this.playEnd * this.samples.length - this.playStart * this.samples.length;
-  var playStartSamples = this.playStart * this.samples.length; // ie 0.5 -> 50% of the length
-  var playEndSamples = this.playEnd * this.samples.length; // ie 0.5 -> 50% of the length
-  var offset;
+/**
+ * Performs an inverse transform on a half-complex spectrum.
+ * Converts frequency domain spectra to a time domain signal.
+ *
+ * The spectrum is either a single array packed like the output of forward
+ * (see the ordering above) or two arrays holding the real and imaginary
+ * half-spectra for bins 0 to n/2. When no arguments are given the last
+ * forward transform in this.trans is used.
+ *
+ * The inverse is computed through the Hartley transform, which is its own
+ * inverse, so the split radix code of the forward transform is reused.
+ *
+ * @param {Array} real The packed spectrum or the real half-spectrum
+ * @param {Array} imag The imaginary half-spectrum (optional)
+ *
+ * @returns The time domain signal
+ */
+RFFT.prototype.inverse = function(real, imag) {
+  var n         = this.bufferSize,
+      halfSize  = n >>> 1,
+      hartley   = this.hartley,
+      buffer    = new Float32Array(n),
+      x, k, rval, ival;
+
+  real = real || this.trans;
+
+  if (imag) {
+    hartley[0]        = real[0];
+    hartley[halfSize] = real.length > halfSize ? real[halfSize] : 0;
+
+    for (k = 1; k < halfSize; k++) {
+      hartley[k]   = real[k] - imag[k];
+      hartley[n-k] = real[k] + imag[k];
+    }
+  } else {
+    if (real.length !== n) { throw "Supplied spectrum is not the same size as defined RFFT. RFFT Size: " + n + " Spectrum Size: " + real.length; }
 
-  for ( var i = 0; i < this.bufferSize; i++ ) {
-    switch (this.loopMode) {
-      case DSP.OFF:
-        this.playhead = Math.round(this.samplesProcessed * this.step + playStartSamples);
-        if (this.playhead < (this.playEnd * this.samples.length) ) {
-          this.signal[i] = this.samples[this.playhead] * this.amplitude;
-        } else {
-          this.signal[i] = 0;
-        }
-        break;
-     
-      case DSP.FW:
-        this.playhead = Math.round((this.samplesProcessed * this.step) % loopWidth + playStartSamples);
-        if (this.playhead < (this.playEnd * this.samples.length) ) {
-          this.signal[i] = this.samples[this.playhead] * this.amplitude;
-        }
-        break;
-       
-      case DSP.BW:
-        this.playhead = playEndSamples - Math.round((this.samplesProcessed * this.step) % loopWidth);
-        if (this.playhead < (this.playEnd * this.samples.length) ) {
-          this.signal[i] = this.samples[this.playhead] * this.amplitude;
-        }
-        break;
-       
-      case DSP.FWBW:
-        if ( Math.floor(this.samplesProcessed * this.step / loopWidth) % 2 === 0 ) {
-          this.playhead = Math.round((this.samplesProcessed * this.step) % loopWidth + playStartSamples);
-        } else {
-          this.playhead = playEndSamples - Math.round((this.samplesProcessed * this.step) % loopWidth);
-        }  
-        if (this.playhead < (this.playEnd * this.samples.length) ) {
-          this.signal[i] = this.samples[this.playhead] * this.amplitude;
-        }
-        break;
+    hartley[0]        = real[0];
+    hartley[halfSize] = real[halfSize];
+
+    for (k = 1; k < halfSize; k++) {
+      rval = real[k];
+      ival = real[n-k];
+      hartley[k]   = rval - ival;
+      hartley[n-k] = rval + ival;
     }
-    this.samplesProcessed++;
   }
 
-  this.frameCount++;
+  x = this.transform(hartley, this.inverseTrans);
 
-  return this.signal;
-};
+  buffer[0]        = x[0] / n;
+  buffer[halfSize] = x[halfSize] / n;
 
-Sampler.prototype.setFreq = function(frequency) {
-    var totalProcessed = this.samplesProcessed * this.step;
-    this.frequency = frequency;
-    this.step = this.frequency / this.rootFrequency;
-    this.samplesProcessed = Math.round(totalProcessed/this.step);
-};
+  for (k = 1; k < halfSize; k++) {
+    buffer[k]   = (x[k] - x[n-k]) / n;
+    buffer[n-k] = (x[k] + x[n-k]) / n;
+  }
 
-Sampler.prototype.reset = function() {
-  this.samplesProcessed = 0;
-  this.playhead = 0;
+  return buffer;
 };
 
 /**
- * Oscillator class for generating and modifying signals
+ * MixedRadixFFT is a class for calculating the Discrete Fourier Transform of a
+ * signal of any length.
  *
- * @param {Number} type       A waveform constant (eg. DSP.SINE)
- * @param {Number} frequency  Initial frequency of the signal
- * @param {Number} amplitude  Initial amplitude of the signal
- * @param {Number} bufferSize Size of the sample buffer to generate
- * @param {Number} sampleRate The sample rate of the signal
+ * Lengths whose prime factors are 2, 3, 5 and 7 are computed with a mixed
+ * radix FFT. Any other length is computed with Bluestein's chirp-z algorithm,
+ * which turns the transform into a convolution done with power of 2 FFTs.
  *
- * @contructor
+ * @param {Number} bufferSize The size of the sample buffer to be computed
+ * @param {Number} sampleRate The sampleRate of the buffer (eg. 44100)
+ *
+ * @constructor
  */
-function Oscillator(type, frequency, amplitude, bufferSize, sampleRate) {
-  this.frequency  = frequency;
-  this.amplitude  = amplitude;
-  this.bufferSize = bufferSize;
-  this.sampleRate = sampleRate;
-  //this.pulseWidth = pulseWidth;
-  this.frameCount = 0;
- 
-  this.waveTableLength = 2048;
-
-  this.cyclesPerSample = frequency / sampleRate;
+function MixedRadixFFT(bufferSize, sampleRate) {
+  FourierTransform.call(this, bufferSize, sampleRate);
 
-  this.signal = new Float32Array(bufferSize);
-  this.envelope = null;
+  var n = bufferSize,
+      p = 4,
+      i, k;
+
+  // Factor into radix 4 first, then 2, 3, 5 and 7. Each factor is stored
+  // with the length of the sub-transforms it combines.
+  this.factors = [];
+
+  while (n > 1) {
+    while (n % p !== 0) {
+      if (p === 4) {
+        p = 2;
+      } else if (p === 2) {
+        p = 3;
+      } else if (p < 7) {
+        p += 2;
+      } else {
+        p = n;
+      }
+    }
 
-  switch(parseInt(type, 10)) {
-    case DSP.TRIANGLE:
-      this.func = Oscillator.Triangle;
+    if (p > 7) {
       break;
+    }
 
-    case DSP.SAW:
-      this.func = Oscillator.Saw;
-      break;
+    n /= p;
+    this.factors.push(p, n);
+  }
 
-    case DSP.SQUARE:
-      this.func = Oscillator.Square;
-      break;
+  this.bluestein = n > 1;
 
-    default:
-    case DSP.SINE:
-      this.func = Oscillator.Sine;
-      break;
-  }
+  this.inReal  = new Float32Array(bufferSize);
+  this.inImag  = new Float32Array(bufferSize);
+  this.scratchReal = new Float32Array(8);
+  this.scratchImag = new Float32Array(8);
 
-  this.generateWaveTable = function() {
-    Oscillator.waveTable[this.func] = new Float32Array(2048);
-    var waveTableTime = this.waveTableLength / this.sampleRate;
-    var waveTableHz = 1 / waveTableTime;
+  if (this.bluestein) {
+    // Chirp w[k] = exp(-i*PI*k^2/N), k^2 is reduced mod 2N to keep precision
+    var size = 1;
 
-    for (var i = 0; i < this.waveTableLength; i++) {
-      Oscillator.waveTable[this.func][i] = this.func(i * waveTableHz/this.sampleRate);
+    while (size < 2 * bufferSize - 1) {
+      size <<= 1;
     }
-  };
 
-  if ( typeof Oscillator.waveTable === 'undefined' ) {
-    Oscillator.waveTable = {};
-  }
+    this.chirpFFT  = new MixedRadixFFT(size, sampleRate);
+    this.chirpReal = new Float32Array(bufferSize);
+    this.chirpImag = new Float32Array(bufferSize);
+    this.kernelReal = new Float32Array(size);
+    this.kernelImag = new Float32Array(size);
+    this.workReal  = new Float32Array(size);
+    this.workImag  = new Float32Array(size);
+    this.convReal  = new Float32Array(size);
+    this.convImag  = new Float32Array(size);
+
+    for (k = 0; k < bufferSize; k++) {
+      var phase = Math.PI * ((k * k) % (2 * bufferSize)) / bufferSize;
+      this.chirpReal[k] = Math.cos(phase);
+      this.chirpImag[k] = -Math.sin(phase);
+    }
 
-  if ( typeof Oscillator.waveTable[this.func] === 'undefined' ) {
-    this.generateWaveTable();
+    // The convolution kernel is the conjugate chirp, wrapped around
+    this.workReal[0] = 1;
+
+    for (k = 1; k < bufferSize; k++) {
+      this.workReal[k] = this.workReal[size - k] = this.chirpReal[k];
+      this.workImag[k] = this.workImag[size - k] = -this.chirpImag[k];
+    }
+
+    this.chirpFFT.transform(this.workReal, this.workImag, this.kernelReal, this.kernelImag);
+  } else {
+    this.twiddleReal = new Float32Array(bufferSize);
+    this.twiddleImag = new Float32Array(bufferSize);
+
+    for (i = 0; i < bufferSize; i++) {
+      this.twiddleReal[i] = Math.cos(-DSP.TWO_PI * i / bufferSize);
+      this.twiddleImag[i] = Math.sin(-DSP.TWO_PI * i / bufferSize);
+    }
   }
- 
-  this.waveTable = Oscillator.waveTable[this.func];
 }
 
 /**
- * Set the amplitude of the signal
+ * Performs a forward complex transform.
  *
- * @param {Number} amplitude The amplitude of the signal (between 0 and 1)
+ * @param {Array} inReal  The real part of the input
+ * @param {Array} inImag  The imaginary part of the input
+ * @param {Array} outReal The array receiving the real part of the output
+ * @param {Array} outImag The array receiving the imaginary part of the output
  */
-Oscillator.prototype.setAmp = function(amplitude) {
-  if (amplitude >= 0 && amplitude <= 1) {
-    this.amplitude = amplitude;
+MixedRadixFFT.prototype.transform = function(inReal, inImag, outReal, outImag) {
+  if (this.bluestein) {
+    this.chirpTransform(inReal, inImag, outReal, outImag);
+  } else if (this.bufferSize === 1) {
+    outReal[0] = inReal[0];
+    outImag[0] = inImag[0];
   } else {
-    throw "Amplitude out of range (0..1).";
+    this.work(inReal, inImag, outReal, outImag, 0, 0, 1, 0);
   }
 };
-  
+
 /**
- * Set the frequency of the signal
- *
- * @param {Number} frequency The frequency of the signal
- */  
-Oscillator.prototype.setFreq = function(frequency) {
-  this.frequency = frequency;
-  this.cyclesPerSample = frequency / this.sampleRate;
-};
-     
-// Add an oscillator
-Oscillator.prototype.add = function(oscillator) {
-  for ( var i = 0; i < this.bufferSize; i++ ) {
-    //this.signal[i] += oscillator.valueAt(i);
-    this.signal[i] += oscillator.signal[i];
-  }
- 
-  return this.signal;
-};
-     
-// Add a signal to the current generated osc signal
-Oscillator.prototype.addSignal = function(signal) {
-  for ( var i = 0; i < signal.length; i++ ) {
-    if ( i >= this.bufferSize ) {
-      break;
+ * Recursive decimation in time step: splits the input into p interleaved
+ * sub-sequences, transforms them and combines them with a radix p butterfly.
+ */
+MixedRadixFFT.prototype.work = function(inReal, inImag, outReal, outImag, outOffset, inOffset, stride, stage) {
+  var p   = this.factors[2 * stage],
+      m   = this.factors[2 * stage + 1],
+      end = outOffset + p * m,
+      i;
+
+  if (m === 1) {
+    for (i = outOffset; i < end; i++) {
+      outReal[i] = inReal[inOffset];
+      outImag[i] = inImag[inOffset];
+      inOffset += stride;
     }
-    this.signal[i] += signal[i];
-   
-    /*
-    // Constrain amplitude
-    if ( this.signal[i] > 1 ) {
-      this.signal[i] = 1;
-    } else if ( this.signal[i] < -1 ) {
-      this.signal[i] = -1;
+  } else {
+    for (i = outOffset; i < end; i += m) {
+      this.work(inReal, inImag, outReal, outImag, i, inOffset, stride * p, stage + 1);
+      inOffset += stride;
     }
-    */
   }
-  return this.signal;
-};
-     
-// Add an envelope to the oscillator
-Oscillator.prototype.addEnvelope = function(envelope) {
-  this.envelope = envelope;
-};
 
-Oscillator.prototype.applyEnvelope = function() {
-  this.envelope.process(this.signal);
-};
-     
-Oscillator.prototype.valueAt = function(offset) {
-  return this.waveTable[offset % this.waveTableLength];
-};
-     
-Oscillator.prototype.generate = function() {
-  var frameOffset = this.frameCount * this.bufferSize;
-  var step = this.waveTableLength * this.frequency / this.sampleRate;
-  var offset;
+  switch (p) {
+    case 2:
+      this.butterfly2(outReal, outImag, outOffset, stride, m);
+      break;
 
-  for ( var i = 0; i < this.bufferSize; i++ ) {
-    //var step = (frameOffset + i) * this.cyclesPerSample % 1;
-    //this.signal[i] = this.func(step) * this.amplitude;
-    //this.signal[i] = this.valueAt(Math.round((frameOffset + i) * step)) * this.amplitude;
-    offset = Math.round((frameOffset + i) * step);
-    this.signal[i] = this.waveTable[offset % this.waveTableLength] * this.amplitude;
+    case 4:
+      this.butterfly4(outReal, outImag, outOffset, stride, m);
+      break;
+
+    default:
+      this.butterfly(outReal, outImag, outOffset, stride, m, p);
+      break;
   }
+};
 
-  this.frameCount++;
+MixedRadixFFT.prototype.butterfly2 = function(real, imag, offset, stride, m) {
+  var twiddleReal = this.twiddleReal,
+      twiddleImag = this.twiddleImag,
+      tw = 0,
+      i, j, tr, ti;
 
-  return this.signal;
-};
+  for (i = offset, j = offset + m; i < offset + m; i++, j++) {
+    tr = real[j] * twiddleReal[tw] - imag[j] * twiddleImag[tw];
+    ti = real[j] * twiddleImag[tw] + imag[j] * twiddleReal[tw];
 
-Oscillator.Sine = function(step) {
-  return Math.sin(DSP.TWO_PI * step);
-};
+    real[j] = real[i] - tr;
+    imag[j] = imag[i] - ti;
+    real[i] += tr;
+    imag[i] += ti;
 
-Oscillator.Square = function(step) {
-  return step < 0.5 ? 1 : -1;
+    tw += stride;
+  }
 };
 
-Oscillator.Saw = function(step) {
-  return 2 * (step - Math.round(step));
+MixedRadixFFT.prototype.butterfly4 = function(real, imag, offset, stride, m) {
+  var twiddleReal = this.twiddleReal,
+      twiddleImag = this.twiddleImag,
+      i0, i1, i2, i3, k,
+      s0r, s0i, s1r, s1i, s2r, s2i, s3r, s3i, s4r, s4i, s5r, s5i;
+
+  for (k = 0; k < m; k++) {
+    i0 = offset + k;
+    i1 = i0 + m;
+    i2 = i1 + m;
+    i3 = i2 + m;
+
+    s0r = real[i1] * twiddleReal[k * stride] - imag[i1] * twiddleImag[k * stride];
+    s0i = real[i1] * twiddleImag[k * stride] + imag[i1] * twiddleReal[k * stride];
+    s1r = real[i2] * twiddleReal[2 * k * stride] - imag[i2] * twiddleImag[2 * k * stride];
+    s1i = real[i2] * twiddleImag[2 * k * stride] + imag[i2] * twiddleReal[2 * k * stride];
+    s2r = real[i3] * twiddleReal[3 * k * stride] - imag[i3] * twiddleImag[3 * k * stride];
+    s2i = real[i3] * twiddleImag[3 * k * stride] + imag[i3] * twiddleReal[3 * k * stride];
+
+    s5r = real[i0] - s1r;
+    s5i = imag[i0] - s1i;
+    real[i0] += s1r;
+    imag[i0] += s1i;
+
+    s3r = s0r + s2r;
+    s3i = s0i + s2i;
+    s4r = s0r - s2r;
+    s4i = s0i - s2i;
+
+    real[i2] = real[i0] - s3r;
+    imag[i2] = imag[i0] - s3i;
+    real[i0] += s3r;
+    imag[i0] += s3i;
+
+    real[i1] = s5r + s4i;
+    imag[i1] = s5i - s4r;
+    real[i3] = s5r - s4i;
+    imag[i3] = s5i + s4r;
+  }
 };
 
-Oscillator.Triangle = function(step) {
-  return 1 - 4 * Math.abs(Math.round(step) - step);
-};
+// Generic radix p butterfly, used for the radix 3, 5 and 7 stages
+MixedRadixFFT.prototype.butterfly = function(real, imag, offset, stride, m, p) {
+  var twiddleReal = this.twiddleReal,
+      twiddleImag = this.twiddleImag,
+      scratchReal = this.scratchReal,
+      scratchImag = this.scratchImag,
+      n = this.bufferSize,
+      u, q, q1, k, tw, tr, ti;
+
+  for (u = 0; u < m; u++) {
+    for (q1 = 0, k = offset + u; q1 < p; q1++, k += m) {
+      scratchReal[q1] = real[k];
+      scratchImag[q1] = imag[k];
+    }
 
-Oscillator.Pulse = function(step) {
-  // stub
-};
- 
-function ADSR(attackLength, decayLength, sustainLevel, sustainLength, releaseLength, sampleRate) {
-  this.sampleRate = sampleRate;
-  // Length in seconds
-  this.attackLength  = attackLength;
-  this.decayLength   = decayLength;
-  this.sustainLevel  = sustainLevel;
-  this.sustainLength = sustainLength;
-  this.releaseLength = releaseLength;
-  this.sampleRate    = sampleRate;
- 
-  // Length in samples
-  this.attackSamples  = attackLength  * sampleRate;
-  this.decaySamples   = decayLength   * sampleRate;
-  this.sustainSamples = sustainLength * sampleRate;
-  this.releaseSamples = releaseLength * sampleRate;
- 
-  // Updates the envelope sample positions
-  this.update = function() {
-    this.attack         =                this.attackSamples;
-    this.decay          = this.attack  + this.decaySamples;
-    this.sustain        = this.decay   + this.sustainSamples;
-    this.release        = this.sustain + this.releaseSamples;
-  };
- 
-  this.update();
- 
-  this.samplesProcessed = 0;
-}
+    for (q1 = 0, k = u; q1 < p; q1++, k += m) {
+      tr = scratchReal[0];
+      ti = scratchImag[0];
+      tw = 0;
 
-ADSR.prototype.noteOn = function() {
-  this.samplesProcessed = 0;
-  this.sustainSamples = this.sustainLength * this.sampleRate;
-  this.update();
-};
+      for (q = 1; q < p; q++) {
+        tw += stride * k;
+        tw %= n;
 
-// Send a note off when using a sustain of infinity to let the envelope enter the release phase
-ADSR.prototype.noteOff = function() {
-  this.sustainSamples = this.samplesProcessed - this.decaySamples;
-  this.update();
+        tr += scratchReal[q] * twiddleReal[tw] - scratchImag[q] * twiddleImag[tw];
+        ti += scratchReal[q] * twiddleImag[tw] + scratchImag[q] * twiddleReal[tw];
+      }
+
+      real[offset + k] = tr;
+      imag[offset + k] = ti;
+    }
+  }
 };
 
-ADSR.prototype.processSample = function(sample) {
-  var amplitude = 0;
+// Bluestein's algorithm: X[k] = w[k] * sum(x[n] * w[n] * conj(w[k-n]))
+MixedRadixFFT.prototype.chirpTransform = function(inReal, inImag, outReal, outImag) {
+  var n          = this.bufferSize,
+      size       = this.chirpFFT.bufferSize,
+      chirpReal  = this.chirpReal,
+      chirpImag  = this.chirpImag,
+      kernelReal = this.kernelReal,
+      kernelImag = this.kernelImag,
+      workReal   = this.workReal,
+      workImag   = this.workImag,
+      convReal   = this.convReal,
+      convImag   = this.convImag,
+      k, rval, ival;
+
+  for (k = 0; k < n; k++) {
+    workReal[k] = inReal[k] * chirpReal[k] - inImag[k] * chirpImag[k];
+    workImag[k] = inReal[k] * chirpImag[k] + inImag[k] * chirpReal[k];
+  }
 
-  if ( this.samplesProcessed <= this.attack ) {
-    amplitude = 0 + (1 - 0) * ((this.samplesProcessed - 0) / (this.attack - 0));
-  } else if ( this.samplesProcessed > this.attack && this.samplesProcessed <= this.decay ) {
-    amplitude = 1 + (this.sustainLevel - 1) * ((this.samplesProcessed - this.attack) / (this.decay - this.attack));
-  } else if ( this.samplesProcessed > this.decay && this.samplesProcessed <= this.sustain ) {
-    amplitude = this.sustainLevel;
-  } else if ( this.samplesProcessed > this.sustain && this.samplesProcessed <= this.release ) {
-    amplitude = this.sustainLevel + (0 - this.sustainLevel) * ((this.samplesProcessed - this.sustain) / (this.release - this.sustain));
+  for (k = n; k < size; k++) {
+    workReal[k] = 0;
+    workImag[k] = 0;
   }
- 
-  return sample * amplitude;
-};
 
-ADSR.prototype.value = function() {
-  var amplitude = 0;
+  this.chirpFFT.transform(workReal, workImag, convReal, convImag);
 
-  if ( this.samplesProcessed <= this.attack ) {
-    amplitude = 0 + (1 - 0) * ((this.samplesProcessed - 0) / (this.attack - 0));
-  } else if ( this.samplesProcessed > this.attack && this.samplesProcessed <= this.decay ) {
-    amplitude = 1 + (this.sustainLevel - 1) * ((this.samplesProcessed - this.attack) / (this.decay - this.attack));
-  } else if ( this.samplesProcessed > this.decay && this.samplesProcessed <= this.sustain ) {
-    amplitude = this.sustainLevel;
-  } else if ( this.samplesProcessed > this.sustain && this.samplesProcessed <= this.release ) {
-    amplitude = this.sustainLevel + (0 - this.sustainLevel) * ((this.samplesProcessed - this.sustain) / (this.release - this.sustain));
+  // Multiply by the kernel spectrum and conjugate, so the forward transform
+  // below computes the inverse (conjugated again when applying the chirp)
+  for (k = 0; k < size; k++) {
+    rval = convReal[k] * kernelReal[k] - convImag[k] * kernelImag[k];
+    ival = convReal[k] * kernelImag[k] + convImag[k] * kernelReal[k];
+    convReal[k] = rval;
+    convImag[k] = -ival;
   }
- 
-  return amplitude;
-};
-     
-ADSR.prototype.process = function(buffer) {
-  for ( var i = 0; i < buffer.length; i++ ) {
-    buffer[i] *= this.value();
 
-    this.samplesProcessed++;
+  this.chirpFFT.transform(convReal, convImag, workReal, workImag);
+
+  for (k = 0; k < n; k++) {
+    rval = workReal[k] / size;
+    ival = -workImag[k] / size;
+    outReal[k] = rval * chirpReal[k] - ival * chirpImag[k];
+    outImag[k] = rval * chirpImag[k] + ival * chirpReal[k];
   }
- 
-  return buffer;
 };
-     
-     
-ADSR.prototype.isActive = function() {
-  if ( this.samplesProcessed > this.release || this.samplesProcessed === -1 ) {
-    return false;
-  } else {
-    return true;
+
+/**
+ * Performs a forward transform on the sample buffer.
+ * Converts a time domain signal to frequency domain spectra.
+ *
+ * When imagBuffer is given the signal is complex, the full complex result is
+ * left in this.real and this.imag and the spectrum holds the magnitudes of
+ * the positive frequencies.
+ *
+ * @param {Array} buffer     The sample buffer (real part)
+ * @param {Array} imagBuffer The imaginary part of the sample buffer (optional)
+ *
+ * @returns The frequency spectrum array
+ */
+MixedRadixFFT.prototype.forward = function(buffer, imagBuffer) {
+  var bufferSize = this.bufferSize,
+      inReal     = this.inReal,
+      inImag     = this.inImag;
+
+  if (bufferSize !== buffer.length) { throw "Supplied buffer is not the same size as defined FFT. FFT Size: " + bufferSize + " Buffer Size: " + buffer.length; }
+  if (imagBuffer && bufferSize !== imagBuffer.length) { throw "Supplied imaginary buffer is not the same size as defined FFT. FFT Size: " + bufferSize + " Buffer Size: " + imagBuffer.length; }
+
+  for (var i = 0; i < bufferSize; i++) {
+    inReal[i] = buffer[i];
+    inImag[i] = imagBuffer ? imagBuffer[i] : 0;
   }
-};
 
-ADSR.prototype.disable = function() {
-  this.samplesProcessed = -1;
+  this.transform(inReal, inImag, this.real, this.imag);
+
+  return this.calculateSpectrum();
 };
- 
-function IIRFilter(type, cutoff, resonance, sampleRate) {
-  this.sampleRate = sampleRate;
 
-  switch(type) {
-    case DSP.LOWPASS:
-    case DSP.LP12:
-      this.func = new IIRFilter.LP12(cutoff, resonance, sampleRate);
-      break;
-  }
-}
+/**
+ * Performs an inverse transform on a complex spectrum.
+ * Converts frequency domain spectra to a time domain signal.
+ *
+ * @param {Array} real       The real part of the spectrum (default this.real)
+ * @param {Array} imag       The imaginary part of the spectrum (default this.imag)
+ * @param {Array} imagBuffer Receives the imaginary part of the signal (optional)
+ *
+ * @returns The time domain signal (real part)
+ */
+MixedRadixFFT.prototype.inverse = function(real, imag, imagBuffer) {
+  var bufferSize = this.bufferSize,
+      inReal     = this.inReal,
+      inImag     = this.inImag,
+      outReal    = new Float32Array(bufferSize),
+      outImag    = new Float32Array(bufferSize),
+      i;
 
-IIRFilter.prototype.__defineGetter__('cutoff',
-  function() {
-    return this.func.cutoff;
-  }
-);
+  real = real || this.real;
+  imag = imag || this.imag;
 
-IIRFilter.prototype.__defineGetter__('resonance',
-  function() {
-    return this.func.resonance;
+  // ifft(X) = conj(fft(conj(X))) / N
+  for (i = 0; i < bufferSize; i++) {
+    inReal[i] = real[i];
+    inImag[i] = -imag[i];
   }
-);
 
-IIRFilter.prototype.set = function(cutoff, resonance) {
-  this.func.calcCoeff(cutoff, resonance);
-};
+  this.transform(inReal, inImag, outReal, outImag);
 
-IIRFilter.prototype.process = function(buffer) {
-  this.func.process(buffer);
-};
+  for (i = 0; i < bufferSize; i++) {
+    outReal[i] /= bufferSize;
+  }
 
-// Add an envelope to the filter
-IIRFilter.prototype.addEnvelope = function(envelope) {
-  if ( envelope instanceof ADSR ) {
-    this.func.addEnvelope(envelope);
-  } else {
-    throw "Not an envelope.";
+  if (imagBuffer) {
+    for (i = 0; i < bufferSize; i++) {
+      imagBuffer[i] = -outImag[i] / bufferSize;
+    }
   }
+
+  return outReal;
 };
 
-IIRFilter.LP12 = function(cutoff, resonance, sampleRate) {
+/**
+ * Goertzel is a class for calculating the Discrete Fourier Transform of a
+ * signal at a single frequency, which needs not be centered on an FFT band.
+ * Far cheaper than an FFT when only a few frequencies are of interest.
+ *
+ * @param {Number} frequency  The frequency to detect in Hz
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ *
+ * @constructor
+ */
+function Goertzel(frequency, sampleRate) {
   this.sampleRate = sampleRate;
-  this.vibraPos   = 0;
-  this.vibraSpeed = 0;
-  this.envelope = false;
- 
+
+  this.real      = 0;
+  this.imag      = 0;
+  this.magnitude = 0;
+  this.phase     = 0;
+
+  this.setFreq(frequency);
+}
+
+/**
+ * Set the frequency to detect
+ *
+ * @param {Number} frequency The frequency in Hz
+ */
+Goertzel.prototype.setFreq = function(frequency) {
+  this.frequency = frequency;
+  this.w = DSP.TWO_PI * frequency / this.sampleRate;
+  this.coeff = 2 * Math.cos(this.w);
+};
+
+/**
+ * Transforms a block of samples at the frequency. The magnitude is scaled
+ * like FourierTransform.spectrum (a sine of amplitude 1 gives about 1) and
+ * the phase is relative to the first sample of the block.
+ *
+ * @param {Array} buffer A block of samples
+ *
+ * @returns The magnitude at the frequency
+ */
+Goertzel.prototype.process = function(buffer) {
+  var coeff = this.coeff,
+      w     = this.w,
+      n     = buffer.length,
+      s0    = 0,
+      s1    = 0,
+      s2    = 0,
+      rval, ival, c, s;
+
+  for (var i = 0; i < n; i++) {
+    s0 = buffer[i] + coeff * s1 - s2;
+    s2 = s1;
+    s1 = s0;
+  }
+
+  // y = s[n-1] - exp(-jw) * s[n-2] is the DFT rotated by exp(jw(n-1))
+  rval = s1 - Math.cos(w) * s2;
+  ival = Math.sin(w) * s2;
+  c = Math.cos(w * (n - 1));
+  s = Math.sin(w * (n - 1));
+
+  this.real = rval * c + ival * s;
+  this.imag = ival * c - rval * s;
+  this.magnitude = 2 / n * Math.sqrt(this.real * this.real + this.imag * this.imag);
+  this.phase = Math.atan2(this.imag, this.real);
+
+  return this.magnitude;
+};
+
+/**
+ * DTMFDecoder turns a stream of samples into the telephone keypad digits it
+ * contains, using a Goertzel filter for each of the eight DTMF frequencies.
+ *
+ * The stream is analyzed in blocks of 25.6 ms. A block holds a digit when
+ * the strongest low (row) and high (column) group tones are above minLevel,
+ * the other tones of each group are well below them and their level
+ * difference (twist) is within maxNormalTwist (high group louder) or
+ * maxReverseTwist (low group louder). A digit is reported once it lasted
+ * minDuration, and again only after it stopped.
+ *
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 8000)
+ *
+ * @constructor
+ */
+function DTMFDecoder(sampleRate) {
+  this.sampleRate = sampleRate;
+  this.blockSize  = Math.round(205 * sampleRate / 8000);
+
+  this.minLevel        = -30;   // dBFS, per tone
+  this.maxNormalTwist  = 8;     // dB
+  this.maxReverseTwist = 4;     // dB
+  this.minDuration     = 0.04;  // seconds
+
+  this.rows = [];
+  this.cols = [];
+
+  var i;
+
+  for (i = 0; i < 4; i++) {
+    this.rows[i] = new Goertzel(DTMFDecoder.ROW_FREQUENCIES[i], sampleRate);
+    this.cols[i] = new Goertzel(DTMFDecoder.COL_FREQUENCIES[i], sampleRate);
+  }
+
+  this.block = new Float32Array(this.blockSize);
+  this.reset();
+}
+
+DTMFDecoder.ROW_FREQUENCIES = [697, 770, 852, 941];
+DTMFDecoder.COL_FREQUENCIES = [1209, 1336, 1477, 1633];
+DTMFDecoder.KEYS = [
+  ["1", "2", "3", "A"],
+  ["4", "5", "6", "B"],
+  ["7", "8", "9", "C"],
+  ["*", "0", "#", "D"]
+];
+
+/**
+ * Clears the buffered samples and the digit being detected.
+ */
+DTMFDecoder.prototype.reset = function() {
+  this.fill = 0;
+  this.current = null;
+  this.count = 0;
+  this.reported = false;
+};
+
+/**
+ * Finds the digit in a block of samples.
+ *
+ * @returns The digit, or null
+ */
+DTMFDecoder.prototype.detect = function(block) {
+  var row = this.strongest(this.rows, block),
+      col = this.strongest(this.cols, block),
+      minLevel = Math.pow(10, this.minLevel / 20),
+      twist;
+
+  if (row < 0 || col < 0) {
+    return null;
+  }
+
+  row = this.rows[row].magnitude > minLevel ? row : -1;
+  col = this.cols[col].magnitude > minLevel ? col : -1;
+
+  if (row < 0 || col < 0) {
+    return null;
+  }
+
+  twist = 20 * Math.log(this.cols[col].magnitude / this.rows[row].magnitude) / Math.LN10;
+
+  if (twist > this.maxNormalTwist || -twist > this.maxReverseTwist) {
+    return null;
+  }
+
+  return DTMFDecoder.KEYS[row][col];
+};
+
+/**
+ * Runs a group of Goertzel filters on the block.
+ *
+ * @returns The index of the strongest tone, or -1 when another tone of the
+ *          group is within 6 dB of it
+ */
+DTMFDecoder.prototype.strongest = function(group, block) {
+  var peak = 0, i;
+
+  for (i = 0; i < group.length; i++) {
+    group[i].process(block);
+
+    if (group[i].magnitude > group[peak].magnitude) {
+      peak = i;
+    }
+  }
+
+  for (i = 0; i < group.length; i++) {
+    if (i !== peak && group[i].magnitude * 2 > group[peak].magnitude) {
+      return -1;
+    }
+  }
+
+  return peak;
+};
+
+/**
+ * Streams a buffer of samples through the decoder.
+ *
+ * @param {Array} buffer A mono sample buffer of any length
+ *
+ * @returns A String of the digits detected in this buffer (may be empty)
+ */
+DTMFDecoder.prototype.process = function(buffer) {
+  var blockSize = this.blockSize,
+      block     = this.block,
+      minBlocks = Math.max(1, Math.ceil(this.minDuration * this.sampleRate / blockSize)),
+      digits    = "",
+      digit, i;
+
+  for (i = 0; i < buffer.length; i++) {
+    block[this.fill++] = buffer[i];
+
+    if (this.fill === blockSize) {
+      this.fill = 0;
+      digit = this.detect(block);
+
+      if (digit !== this.current) {
+        this.current = digit;
+        this.count = 0;
+        this.reported = false;
+      }
+
+      this.count++;
+
+      if (digit && !this.reported && this.count >= minBlocks) {
+        digits += digit;
+        this.reported = true;
+      }
+    }
+  }
+
+  return digits;
+};
+
+/**
+ * DCT is a class for calculating Discrete Cosine Transforms of a signal, using
+ * FFTs of the same length (DCT-II and DCT-III) or half the length (DCT-IV).
+ *
+ *   forward  DCT-II   X[k] = sum x[n] cos(PI/N (n + 1/2) k)
+ *   inverse  DCT-III, scaled so that inverse(forward(x)) == x
+ *   dct4     DCT-IV   X[k] = sum x[n] cos(PI/N (n + 1/2) (k + 1/2)),
+ *                     its own inverse when scaled by 2/N
+ *
+ * When orthonormal is true the DCT-II and DCT-III are scaled to be
+ * orthonormal (as commonly used for MFCCs) instead.
+ *
+ * @param {Number}  bufferSize  The size of the sample buffer to be computed (even for dct4)
+ * @param {Boolean} orthonormal Use orthonormal scaling for forward and inverse
+ *
+ * @constructor
+ */
+function DCT(bufferSize, orthonormal) {
+  this.bufferSize  = bufferSize;
+  this.orthonormal = !!orthonormal;
+
+  this.coefficients = new Float32Array(bufferSize);
+
+  // The DCT has no sample rate, the FFT bands are in cycles per sample
+  this.fft = new MixedRadixFFT(bufferSize, 1);
+
+  this.inReal  = new Float32Array(bufferSize);
+  this.inImag  = new Float32Array(bufferSize);
+  this.outReal = new Float32Array(bufferSize);
+  this.outImag = new Float32Array(bufferSize);
+
+  // Twiddles exp(-i*PI*k/(2N))
+  this.twiddleReal = new Float32Array(bufferSize);
+  this.twiddleImag = new Float32Array(bufferSize);
+
+  for (var k = 0; k < bufferSize; k++) {
+    this.twiddleReal[k] = Math.cos(Math.PI * k / (2 * bufferSize));
+    this.twiddleImag[k] = -Math.sin(Math.PI * k / (2 * bufferSize));
+  }
+
+  // The DCT-IV uses an FFT of half the length between the pre-twiddles
+  // exp(-i*PI*(4k+1)/(4N)) and the post-twiddles exp(-i*PI*k/N)
+  if (bufferSize % 2 === 0) {
+    var half = bufferSize >>> 1;
+
+    this.fft4     = new MixedRadixFFT(half, 1);
+    this.real4    = new Float32Array(half);
+    this.imag4    = new Float32Array(half);
+    this.outReal4 = new Float32Array(half);
+    this.outImag4 = new Float32Array(half);
+
+    this.preReal  = new Float32Array(half);
+    this.preImag  = new Float32Array(half);
+    this.postReal = new Float32Array(half);
+    this.postImag = new Float32Array(half);
+
+    for (k = 0; k < half; k++) {
+      this.preReal[k]  = Math.cos(Math.PI * (4 * k + 1) / (4 * bufferSize));
+      this.preImag[k]  = -Math.sin(Math.PI * (4 * k + 1) / (4 * bufferSize));
+      this.postReal[k] = Math.cos(Math.PI * k / bufferSize);
+      this.postImag[k] = -Math.sin(Math.PI * k / bufferSize);
+    }
+  }
+}
+
+/**
+ * Performs a DCT-II on the sample buffer.
+ *
+ * @param {Array} buffer The sample buffer
+ *
+ * @returns The coefficients array
+ */
+DCT.prototype.forward = function(buffer) {
+  var n            = this.bufferSize,
+      half         = n >>> 1,
+      inReal       = this.inReal,
+      inImag       = this.inImag,
+      outReal      = this.outReal,
+      outImag      = this.outImag,
+      coefficients = this.coefficients,
+      i;
+
+  if (n !== buffer.length) { throw "Supplied buffer is not the same size as defined DCT. DCT Size: " + n + " Buffer Size: " + buffer.length; }
+
+  // Even samples in order followed by odd samples reversed
+  for (i = 0; i < n - half; i++) {
+    inReal[i] = buffer[2 * i];
+    inImag[i] = 0;
+  }
+
+  for (i = 0; i < half; i++) {
+    inReal[n - 1 - i] = buffer[2 * i + 1];
+    inImag[n - 1 - i] = 0;
+  }
+
+  this.fft.transform(inReal, inImag, outReal, outImag);
+
+  for (i = 0; i < n; i++) {
+    coefficients[i] = outReal[i] * this.twiddleReal[i] - outImag[i] * this.twiddleImag[i];
+  }
+
+  if (this.orthonormal) {
+    coefficients[0] *= Math.sqrt(1 / n);
+
+    for (i = 1; i < n; i++) {
+      coefficients[i] *= Math.sqrt(2 / n);
+    }
+  }
+
+  return coefficients;
+};
+
+/**
+ * Performs a DCT-III on the coefficients, the inverse of forward.
+ *
+ * @param {Array} coefficients The coefficients (default this.coefficients)
+ *
+ * @returns The time domain signal
+ */
+DCT.prototype.inverse = function(coefficients) {
+  var n       = this.bufferSize,
+      half    = n >>> 1,
+      inReal  = this.inReal,
+      inImag  = this.inImag,
+      outReal = this.outReal,
+      outImag = this.outImag,
+      buffer  = new Float32Array(n),
+      scale0  = this.orthonormal ? Math.sqrt(n) : 1,
+      scale   = this.orthonormal ? Math.sqrt(n / 2) : 1,
+      rval, ival, i;
+
+  coefficients = coefficients || this.coefficients;
+
+  // V[k] = exp(i*PI*k/(2N)) * (X[k] - i*X[N-k]), conjugated for the forward FFT
+  for (i = 0; i < n; i++) {
+    rval = coefficients[i] * (i === 0 ? scale0 : scale);
+    ival = i === 0 ? 0 : -coefficients[n - i] * scale;
+
+    inReal[i] = rval * this.twiddleReal[i] + ival * this.twiddleImag[i];
+    inImag[i] = -(ival * this.twiddleReal[i] - rval * this.twiddleImag[i]);
+  }
+
+  this.fft.transform(inReal, inImag, outReal, outImag);
+
+  for (i = 0; i < n - half; i++) {
+    buffer[2 * i] = outReal[i] / n;
+  }
+
+  for (i = 0; i < half; i++) {
+    buffer[2 * i + 1] = outReal[n - 1 - i] / n;
+  }
+
+  return buffer;
+};
+
+/**
+ * Performs a DCT-IV on the buffer.
+ *
+ * @param {Array} buffer The sample buffer (or coefficients)
+ * @param {Array} result The array receiving the result (optional)
+ *
+ * @returns The transformed array
+ */
+DCT.prototype.dct4 = function(buffer, result) {
+  var n        = this.bufferSize,
+      half     = n >>> 1,
+      real4    = this.real4,
+      imag4    = this.imag4,
+      outReal4 = this.outReal4,
+      outImag4 = this.outImag4,
+      preReal  = this.preReal,
+      preImag  = this.preImag,
+      postReal = this.postReal,
+      postImag = this.postImag,
+      rval, ival, i;
+
+  if (n % 2 !== 0) { throw "Invalid buffer size, the DCT-IV needs an even size."; }
+
+  result = result || new Float32Array(n);
+
+  // z[k] = (x[2k] + i*x[N-1-2k]) * exp(-i*PI*(4k+1)/(4N))
+  for (i = 0; i < half; i++) {
+    rval = buffer[2 * i];
+    ival = buffer[n - 1 - 2 * i];
+
+    real4[i] = rval * preReal[i] - ival * preImag[i];
+    imag4[i] = rval * preImag[i] + ival * preReal[i];
+  }
+
+  this.fft4.transform(real4, imag4, outReal4, outImag4);
+
+  for (i = 0; i < half; i++) {
+    rval = outReal4[i] * postReal[i] - outImag4[i] * postImag[i];
+    ival = outReal4[i] * postImag[i] + outImag4[i] * postReal[i];
+
+    result[2 * i] = rval;
+    result[n - 1 - 2 * i] = -ival;
+  }
+
+  return result;
+};
+
+/**
+ * MDCT is a class for calculating the Modified Discrete Cosine Transform of
+ * overlapping frames of a signal, using a DCT-IV.
+ *
+ * A frame of frameSize samples gives frameSize/2 coefficients. The inverse
+ * gives back frameSize time aliased samples, which cancel out (TDAC) when
+ * consecutive inverse frames overlap by 50% and are added. The window is
+ * applied on both analysis and synthesis and must meet the Princen-Bradley
+ * condition, like DSP.SINEWINDOW and DSP.KBD.
+ *
+ * analyze() and synthesize() do the framing and overlap-add for a stream,
+ * the output is delayed by frameSize/2 samples.
+ *
+ * @param {Number} frameSize  The size of the frames (a multiple of 4)
+ * @param {Number} windowType A window function constant (default DSP.SINEWINDOW)
+ * @param {Number} alpha      The alpha value passed to the window function (optional, default 4 for DSP.KBD)
+ *
+ * @constructor
+ */
+function MDCT(frameSize, windowType, alpha) {
+  if (frameSize % 4 !== 0) { throw "Invalid frame size, must be a multiple of 4."; }
+
+  this.frameSize  = frameSize;
+  this.bufferSize = frameSize >>> 1;
+  this.windowType = windowType || DSP.SINEWINDOW;
+
+  this.dct      = new DCT(this.bufferSize);
+  this.window   = new Float32Array(frameSize);
+  this.folded   = new Float32Array(this.bufferSize);
+  this.unfolded = new Float32Array(this.bufferSize);
+  this.coefficients = new Float32Array(this.bufferSize);
+
+  var windowFunction = new WindowFunction(this.windowType, alpha);
+
+  for (var i = 0; i < frameSize; i++) {
+    this.window[i] = windowFunction.func(frameSize, i, windowFunction.alpha);
+  }
+
+  this.reset();
+}
+
+/**
+ * Clears the stream state of analyze and synthesize.
+ */
+MDCT.prototype.reset = function() {
+  this.previous = new Float32Array(this.bufferSize);
+  this.overlap  = new Float32Array(this.bufferSize);
+};
+
+/**
+ * Performs a forward transform on a windowed frame.
+ *
+ * @param {Array} frame A frame of frameSize samples
+ *
+ * @returns The frameSize/2 coefficients
+ */
+MDCT.prototype.forward = function(frame) {
+  var n      = this.bufferSize,
+      half   = n >>> 1,
+      window = this.window,
+      folded = this.folded,
+      i;
+
+  if (frame.length !== this.frameSize) { throw "Supplied frame is not the same size as defined MDCT. Frame Size: " + this.frameSize + " Buffer Size: " + frame.length; }
+
+  // With the frame split in quarters (a, b, c, d), fold into (-c_r - d, a - b_r)
+  for (i = 0; i < half; i++) {
+    folded[i] = -frame[3*half - 1 - i] * window[3*half - 1 - i] - frame[3*half + i] * window[3*half + i];
+    folded[half + i] = frame[i] * window[i] - frame[n - 1 - i] * window[n - 1 - i];
+  }
+
+  return this.dct.dct4(folded, this.coefficients);
+};
+
+/**
+ * Performs an inverse transform and windows the result.
+ *
+ * @param {Array} coefficients The frameSize/2 coefficients (default this.coefficients)
+ *
+ * @returns A new Float32Array of frameSize time aliased samples to be overlap-added
+ */
+MDCT.prototype.inverse = function(coefficients) {
+  var n        = this.bufferSize,
+      half     = n >>> 1,
+      scale    = 2 / n,
+      window   = this.window,
+      unfolded = this.dct.dct4(coefficients || this.coefficients, this.unfolded),
+      frame    = new Float32Array(this.frameSize),
+      i;
+
+  // Unfold (y2, -y2_r, -y1_r, -y1) with y = (y1, y2) the DCT-IV scaled by
+  // 2/N, as the Princen-Bradley windows sum to 1 (not 2) where frames overlap
+  for (i = 0; i < half; i++) {
+    frame[i]              =  unfolded[half + i] * scale;
+    frame[n - 1 - i]      = -unfolded[half + i] * scale;
+    frame[3*half - 1 - i] = -unfolded[i] * scale;
+    frame[3*half + i]     = -unfolded[i] * scale;
+  }
+
+  for (i = 0; i < this.frameSize; i++) {
+    frame[i] *= window[i];
+  }
+
+  return frame;
+};
+
+/**
+ * Transforms the next frameSize/2 samples of a stream, together with the
+ * previous ones.
+ *
+ * @param {Array} buffer frameSize/2 samples
+ *
+ * @returns A new Float32Array of coefficients
+ */
+MDCT.prototype.analyze = function(buffer) {
+  var n     = this.bufferSize,
+      frame = new Float32Array(this.frameSize);
+
+  frame.set(this.previous);
+  frame.set(buffer, n);
+  this.previous.set(buffer);
+
+  return new Float32Array(this.forward(frame));
+};
+
+/**
+ * Inverse transforms the next coefficients of a stream and overlap-adds them.
+ *
+ * @param {Array} coefficients frameSize/2 coefficients
+ *
+ * @returns A new Float32Array of frameSize/2 finished samples
+ */
+MDCT.prototype.synthesize = function(coefficients) {
+  var n      = this.bufferSize,
+      frame  = this.inverse(coefficients),
+      buffer = new Float32Array(n),
+      i;
+
+  for (i = 0; i < n; i++) {
+    buffer[i] = this.overlap[i] + frame[i];
+    this.overlap[i] = frame[n + i];
+  }
+
+  return buffer;
+};
+
+/**
+ * Hilbert is a class for calculating the analytic signal of a block of
+ * samples with an FFT: the negative frequencies are removed and the positive
+ * ones doubled. The real part of the analytic signal is the block itself, the
+ * imaginary part its Hilbert transform.
+ *
+ * The block is treated as periodic, so expect some error near its edges
+ * unless the signal fades in and out.
+ *
+ * @param {Number} bufferSize The size of the sample buffer to be computed. Must be power of 2
+ * @param {Number} sampleRate The sampleRate of the buffer (eg. 44100)
+ *
+ * @constructor
+ */
+function Hilbert(bufferSize, sampleRate) {
+  this.bufferSize = bufferSize;
+  this.sampleRate = sampleRate;
+
+  this.fft  = new FFT(bufferSize, sampleRate);
+  this.real = new Float32Array(bufferSize);
+  this.imag = new Float32Array(bufferSize);
+}
+
+/**
+ * Calculates the analytic signal of the sample buffer, leaving it in
+ * this.real and this.imag.
+ *
+ * @param {Array} buffer The sample buffer. Buffer Length must be power of 2
+ *
+ * @returns The Hilbert transform of the buffer (this.imag)
+ */
+Hilbert.prototype.forward = function(buffer) {
+  var n    = this.bufferSize,
+      half = n >>> 1,
+      fft  = this.fft,
+      i;
+
+  fft.forward(buffer);
+
+  // Keep DC and Nyquist, double the positive and zero the negative frequencies
+  for (i = 1; i < half; i++) {
+    fft.real[i] *= 2;
+    fft.imag[i] *= 2;
+  }
+
+  for (i = half + 1; i < n; i++) {
+    fft.real[i] = 0;
+    fft.imag[i] = 0;
+  }
+
+  this.real.set(fft.inverse(fft.real, fft.imag, this.imag));
+
+  return this.imag;
+};
+
+/**
+ * Calculates the instantaneous amplitude (envelope) of the last analytic signal.
+ *
+ * @returns A new Float32Array of amplitudes
+ */
+Hilbert.prototype.amplitude = function() {
+  return Hilbert.amplitude(this.real, this.imag);
+};
+
+/**
+ * Calculates the instantaneous phase of the last analytic signal.
+ *
+ * @returns A new Float32Array of phases in radians, between -PI and PI
+ */
+Hilbert.prototype.phase = function() {
+  return Hilbert.phase(this.real, this.imag);
+};
+
+/**
+ * Calculates the instantaneous frequency of the last analytic signal.
+ *
+ * @returns A new Float32Array of frequencies in Hz
+ */
+Hilbert.prototype.frequency = function() {
+  return Hilbert.frequency(this.real, this.imag, this.sampleRate, this.previousReal, this.previousImag);
+};
+
+/**
+ * Calculates the instantaneous amplitude of an analytic signal.
+ *
+ * @param {Array} real The real part of the analytic signal
+ * @param {Array} imag The imaginary part of the analytic signal
+ *
+ * @returns A new Float32Array of amplitudes
+ */
+Hilbert.amplitude = function(real, imag) {
+  var amplitude = new Float32Array(real.length);
+
+  for (var i = 0; i < real.length; i++) {
+    amplitude[i] = Math.sqrt(real[i] * real[i] + imag[i] * imag[i]);
+  }
+
+  return amplitude;
+};
+
+/**
+ * Calculates the instantaneous phase of an analytic signal.
+ *
+ * @param {Array} real The real part of the analytic signal
+ * @param {Array} imag The imaginary part of the analytic signal
+ *
+ * @returns A new Float32Array of phases in radians, between -PI and PI
+ */
+Hilbert.phase = function(real, imag) {
+  var phase = new Float32Array(real.length);
+
+  for (var i = 0; i < real.length; i++) {
+    phase[i] = Math.atan2(imag[i], real[i]);
+  }
+
+  return phase;
+};
+
+/**
+ * Calculates the instantaneous frequency of an analytic signal from the
+ * phase difference of consecutive samples. Without the sample preceding the
+ * signal the first frequency repeats the second one.
+ *
+ * @param {Array}  real         The real part of the analytic signal
+ * @param {Array}  imag         The imaginary part of the analytic signal
+ * @param {Number} sampleRate   The sampleRate of the signal (eg. 44100)
+ * @param {Number} previousReal The real part of the preceding sample (optional)
+ * @param {Number} previousImag The imaginary part of the preceding sample (optional)
+ *
+ * @returns A new Float32Array of frequencies in Hz
+ */
+Hilbert.frequency = function(real, imag, sampleRate, previousReal, previousImag) {
+  var n         = real.length,
+      frequency = new Float32Array(n),
+      scale     = sampleRate / DSP.TWO_PI,
+      lastReal  = previousReal,
+      lastImag  = previousImag,
+      i;
+
+  for (i = 0; i < n; i++) {
+    if (lastReal !== undefined) {
+      // arg(z[i] * conj(z[i-1]))
+      frequency[i] = scale * Math.atan2(imag[i] * lastReal - real[i] * lastImag,
+                                        real[i] * lastReal + imag[i] * lastImag);
+    }
+
+    lastReal = real[i];
+    lastImag = imag[i];
+  }
+
+  if (previousReal === undefined && n > 1) {
+    frequency[0] = frequency[1];
+  }
+
+  return frequency;
+};
+
+/**
+ * Sizes the output arrays of a streaming Hilbert transformer for the next
+ * block, remembering the last sample of the previous block for frequency().
+ *
+ * @param {Object} filter A HilbertFIR or HilbertAllpass
+ * @param {Number} n      The size of the next block
+ */
+Hilbert.nextBlock = function(filter, n) {
+  var last = filter.real.length - 1;
+
+  if (last >= 0) {
+    filter.previousReal = filter.real[last];
+    filter.previousImag = filter.imag[last];
+  }
+
+  if (filter.real.length !== n) {
+    filter.real = new Float32Array(n);
+    filter.imag = new Float32Array(n);
+  }
+};
+
+/**
+ * HilbertFIR is a class for calculating the analytic signal of a stream with
+ * a windowed type III FIR Hilbert transformer. The real part is the input
+ * delayed by (length - 1) / 2 samples to line up with the imaginary part.
+ *
+ * Longer filters reach lower frequencies, the response is flat from about
+ * 4 * sampleRate / length up to sampleRate/2 minus as much.
+ *
+ * @param {Number} length     The number of taps, odd (eg. 255)
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ * @param {Number} windowType A window function constant (default DSP.BLACKMAN)
+ *
+ * @constructor
+ */
+function HilbertFIR(length, sampleRate, windowType) {
+  if (length % 2 !== 1) { throw "Invalid filter length, must be odd."; }
+
+  this.length     = length;
+  this.sampleRate = sampleRate;
+  this.delay      = (length - 1) / 2;
+
+  var windowFunction = new WindowFunction(windowType || DSP.BLACKMAN),
+      k;
+
+  // h[k] = 2 / (PI * k) for odd k, 0 for even k, centered on the delay
+  this.coefficients = new Float32Array(length);
+
+  for (var i = 0; i < length; i++) {
+    k = i - this.delay;
+    this.coefficients[i] = k % 2 === 0 ? 0 : 2 / (Math.PI * k) * windowFunction.func(length, i, windowFunction.alpha);
+  }
+
+  this.real = new Float32Array(0);
+  this.imag = new Float32Array(0);
+
+  this.reset();
+}
+
+/**
+ * Clears the history of the filter.
+ */
+HilbertFIR.prototype.reset = function() {
+  this.history = new Float32Array(2 * this.length);
+  this.index   = 0;
+
+  this.previousReal = undefined;
+  this.previousImag = undefined;
+};
+
+/**
+ * Filters the next block of a stream, leaving the analytic signal in
+ * this.real and this.imag.
+ *
+ * @param {Array} buffer A block of samples
+ *
+ * @returns The Hilbert transform of the block (this.imag)
+ */
+HilbertFIR.prototype.process = function(buffer) {
+  var length       = this.length,
+      coefficients = this.coefficients,
+      history      = this.history,
+      index        = this.index,
+      n            = buffer.length,
+      sum, offset, i, j;
+
+  Hilbert.nextBlock(this, n);
+
+  for (i = 0; i < n; i++) {
+    // The history is written twice so that it can be read without wrapping
+    history[index] = history[index + length] = buffer[i];
+    index = (index + 1) % length;
+
+    // history[offset + j] is the input delayed by length - 1 - j samples
+    offset = index;
+    sum = 0;
+
+    // Only the taps an odd number of samples away from the center are non zero
+    for (j = (this.delay + 1) % 2; j < length; j += 2) {
+      sum += coefficients[length - 1 - j] * history[offset + j];
+    }
+
+    this.real[i] = history[offset + this.delay];
+    this.imag[i] = sum;
+  }
+
+  this.index = index;
+
+  return this.imag;
+};
+
+HilbertFIR.prototype.amplitude = Hilbert.prototype.amplitude;
+HilbertFIR.prototype.phase     = Hilbert.prototype.phase;
+HilbertFIR.prototype.frequency = Hilbert.prototype.frequency;
+
+/**
+ * HilbertAllpass is a class for calculating the analytic signal of a stream
+ * with two chains of allpass filters whose outputs are 90 degrees apart
+ * (coefficients by Olli Niemitalo). Much cheaper than HilbertFIR but the
+ * phase is not linear: the real part is not a delayed copy of the input.
+ *
+ * The phase difference stays within 0.7 degrees of 90 from 0.0005 to 0.4995
+ * times the sampleRate (about 20 Hz to 22 kHz at 44100).
+ *
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ *
+ * @constructor
+ */
+function HilbertAllpass(sampleRate) {
+  this.sampleRate = sampleRate;
+
+  this.real = new Float32Array(0);
+  this.imag = new Float32Array(0);
+
+  this.reset();
+}
+
+HilbertAllpass.REAL_COEFFICIENTS = [0.4021921162426, 0.8561710882420, 0.9722909545651, 0.9952884791278];
+HilbertAllpass.IMAG_COEFFICIENTS = [0.6923878, 0.9360654322959, 0.9882295226860, 0.9987488452737];
+
+/**
+ * Clears the state of the filters.
+ */
+HilbertAllpass.prototype.reset = function() {
+  // x[n-1], x[n-2], y[n-1], y[n-2] per section
+  this.realState = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+  this.imagState = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
+  this.delayed   = 0;
+
+  this.previousReal = undefined;
+  this.previousImag = undefined;
+};
+
+/**
+ * Filters a sample through a chain of second order allpass sections
+ * y[n] = a^2 * (x[n] + y[n-2]) - x[n-2].
+ *
+ * @param {Number} sample       The input sample
+ * @param {Array}  coefficients The coefficient of each section
+ * @param {Array}  state        The state of each section
+ *
+ * @returns The output sample
+ */
+HilbertAllpass.prototype.chain = function(sample, coefficients, state) {
+  var output, s;
+
+  for (var i = 0; i < coefficients.length; i++) {
+    s = 4 * i;
+    output = coefficients[i] * coefficients[i] * (sample + state[s + 3]) - state[s + 1];
+
+    state[s + 1] = state[s];
+    state[s]     = sample;
+    state[s + 3] = state[s + 2];
+    state[s + 2] = output;
+
+    sample = output;
+  }
+
+  return sample;
+};
+
+/**
+ * Filters the next block of a stream, leaving the analytic signal in
+ * this.real and this.imag.
+ *
+ * @param {Array} buffer A block of samples
+ *
+ * @returns The Hilbert transform of the block (this.imag)
+ */
+HilbertAllpass.prototype.process = function(buffer) {
+  var n = buffer.length;
+
+  Hilbert.nextBlock(this, n);
+
+  for (var i = 0; i < n; i++) {
+    // The imaginary chain output is delayed by one sample
+    this.real[i] = this.chain(buffer[i], HilbertAllpass.REAL_COEFFICIENTS, this.realState);
+    this.imag[i] = this.delayed;
+    this.delayed = this.chain(buffer[i], HilbertAllpass.IMAG_COEFFICIENTS, this.imagState);
+  }
+
+  return this.imag;
+};
+
+HilbertAllpass.prototype.amplitude = Hilbert.prototype.amplitude;
+HilbertAllpass.prototype.phase     = Hilbert.prototype.phase;
+HilbertAllpass.prototype.frequency = Hilbert.prototype.frequency;
+
+/**
+ * ConstantQ is a class for calculating the Constant-Q Transform of a signal
+ * (Brown and Puckette): a spectrum of bins spaced geometrically, binsPerOctave
+ * to the octave from minFrequency up, whose bandwidths keep a constant ratio
+ * to their frequencies. Low bins get the long analysis windows they need to
+ * be resolved, high bins short ones.
+ *
+ * Each bin is the product of one FFT of the frame with a precalculated sparse
+ * spectral kernel. The frame size is the power of 2 holding the longest
+ * window, all windows are centered on the frame.
+ *
+ * @param {Number} minFrequency  The frequency of the lowest bin in Hz (eg. 32.7 for C1)
+ * @param {Number} binsPerOctave The number of bins per octave (eg. 12, 24 or 36)
+ * @param {Number} sampleRate    The sampleRate of the signal (eg. 44100)
+ * @param {Number} maxFrequency  The highest frequency in Hz (default sampleRate/2)
+ * @param {Number} windowType    A window function constant (default DSP.HANN)
+ * @param {Number} threshold     Kernel values below threshold times the kernel peak are dropped (default 0.0054)
+ *
+ * @constructor
+ */
+function ConstantQ(minFrequency, binsPerOctave, sampleRate, maxFrequency, windowType, threshold) {
+  this.minFrequency  = minFrequency;
+  this.binsPerOctave = binsPerOctave;
+  this.sampleRate    = sampleRate;
+  this.maxFrequency  = Math.min(maxFrequency || sampleRate / 2, sampleRate / 2);
+  this.threshold     = typeof threshold === "undefined" ? 0.0054 : threshold;
+
+  this.Q = 1 / (Math.pow(2, 1 / binsPerOctave) - 1);
+
+  this.bins = Math.floor(binsPerOctave * Math.log(this.maxFrequency / minFrequency) / Math.LN2) + 1;
+
+  if (this.bins < 1) { throw "Invalid frequency range, minFrequency must be below maxFrequency."; }
+
+  // The top bin must stay below Nyquist
+  while (this.bins > 1 && minFrequency * Math.pow(2, (this.bins - 1) / binsPerOctave) >= sampleRate / 2) {
+    this.bins--;
+  }
+
+  this.frequencies = new Float32Array(this.bins);
+  this.lengths     = new Uint32Array(this.bins);
+
+  for (var k = 0; k < this.bins; k++) {
+    this.frequencies[k] = minFrequency * Math.pow(2, k / binsPerOctave);
+    this.lengths[k]     = Math.ceil(this.Q * sampleRate / this.frequencies[k]);
+  }
+
+  this.bufferSize = Math.pow(2, Math.ceil(Math.log(this.lengths[0]) / Math.LN2));
+
+  this.fft = new FFT(this.bufferSize, sampleRate);
+
+  this.spectrum = new Float32Array(this.bins);
+  this.real     = new Float32Array(this.bins);
+  this.imag     = new Float32Array(this.bins);
+
+  this.calculateKernels(windowType || DSP.HANN);
+}
+
+/**
+ * Calculates the sparse spectral kernel of every bin: the FFT of a windowed
+ * complex exponential at the bin frequency, conjugated and scaled so that a
+ * sine of amplitude 1 at the bin frequency gives about 1 (like
+ * FourierTransform.spectrum).
+ *
+ * @param {Number} windowType A window function constant
+ */
+ConstantQ.prototype.calculateKernels = function(windowType) {
+  var n              = this.bufferSize,
+      fft            = this.fft,
+      windowFunction = new WindowFunction(windowType),
+      temporalReal   = new Float32Array(n),
+      temporalImag   = new Float32Array(n),
+      magnitude, peak, length, start, total, w, angle, count, j, k, i;
+
+  this.kernels = [];
+
+  for (k = 0; k < this.bins; k++) {
+    length = this.lengths[k];
+    start  = Math.floor((n - length) / 2);
+    total  = 0;
+
+    for (i = 0; i < n; i++) {
+      temporalReal[i] = 0;
+      temporalImag[i] = 0;
+    }
+
+    for (i = 0; i < length; i++) {
+      w = windowFunction.func(length, i, windowFunction.alpha);
+      angle = DSP.TWO_PI * this.frequencies[k] * (i - length / 2) / this.sampleRate;
+
+      temporalReal[start + i] = w * Math.cos(angle);
+      temporalImag[start + i] = w * Math.sin(angle);
+      total += w;
+    }
+
+    fft.forward(temporalReal, temporalImag);
+
+    peak = 0;
+
+    for (j = 0; j < n; j++) {
+      peak = Math.max(peak, fft.real[j] * fft.real[j] + fft.imag[j] * fft.imag[j]);
+    }
+
+    peak = Math.sqrt(peak);
+    count = 0;
+
+    for (j = 0; j < n; j++) {
+      magnitude = Math.sqrt(fft.real[j] * fft.real[j] + fft.imag[j] * fft.imag[j]);
+
+      if (magnitude >= this.threshold * peak) {
+        count++;
+      }
+    }
+
+    var kernel = {
+      index: new Uint32Array(count),
+      real:  new Float32Array(count),
+      imag:  new Float32Array(count)
+    };
+
+    // sum x[t] * conj(kernel[t]) == sum X[j] * conj(K[j]) / n, a sine of
+    // amplitude 1 correlates to total / 2
+    for (j = 0, i = 0; j < n; j++) {
+      magnitude = Math.sqrt(fft.real[j] * fft.real[j] + fft.imag[j] * fft.imag[j]);
+
+      if (magnitude >= this.threshold * peak) {
+        kernel.index[i] = j;
+        kernel.real[i]  =  fft.real[j] * 2 / (total * n);
+        kernel.imag[i]  = -fft.imag[j] * 2 / (total * n);
+        i++;
+      }
+    }
+
+    this.kernels[k] = kernel;
+  }
+};
+
+/**
+ * Performs a Constant-Q Transform on a frame of the signal, leaving the
+ * complex bins in this.real and this.imag.
+ *
+ * @param {Array} buffer A frame of bufferSize samples
+ *
+ * @returns The magnitude of the bins (this.spectrum)
+ */
+ConstantQ.prototype.forward = function(buffer) {
+  var fft  = this.fft,
+      real = fft.real,
+      imag = fft.imag,
+      kernel, rval, ival, j, k, i;
+
+  if (buffer.length !== this.bufferSize) { throw "Supplied buffer is not the same size as defined ConstantQ. ConstantQ Size: " + this.bufferSize + " Buffer Size: " + buffer.length; }
+
+  fft.forward(buffer);
+
+  for (k = 0; k < this.bins; k++) {
+    kernel = this.kernels[k];
+    rval = 0;
+    ival = 0;
+
+    for (i = 0; i < kernel.index.length; i++) {
+      j = kernel.index[i];
+      rval += real[j] * kernel.real[i] - imag[j] * kernel.imag[i];
+      ival += real[j] * kernel.imag[i] + imag[j] * kernel.real[i];
+    }
+
+    this.real[k] = rval;
+    this.imag[k] = ival;
+    this.spectrum[k] = Math.sqrt(rval * rval + ival * ival);
+  }
+
+  return this.spectrum;
+};
+
+/**
+ * Folds Constant-Q bins into the 12 pitch classes, starting from C. Each bin
+ * goes to the pitch class of its nearest equal tempered note (relative to
+ * A4 = tuning Hz). The vector is normalized to a maximum of 1.
+ *
+ * @param {Array}  spectrum The bin magnitudes (default this.spectrum)
+ * @param {Number} tuning   The frequency of A4 in Hz (default 440)
+ *
+ * @returns A new Float32Array of 12 chroma values
+ */
+ConstantQ.prototype.chroma = function(spectrum, tuning) {
+  var chroma = new Float32Array(12),
+      max    = 0,
+      pitchClass, k;
+
+  spectrum = spectrum || this.spectrum;
+  tuning   = tuning || 440;
+
+  for (k = 0; k < this.bins; k++) {
+    // A is pitch class 9
+    pitchClass = Math.round(12 * Math.log(this.frequencies[k] / tuning) / Math.LN2) + 9;
+    pitchClass = ((pitchClass % 12) + 12) % 12;
+    chroma[pitchClass] += spectrum[k];
+  }
+
+  for (k = 0; k < 12; k++) {
+    max = Math.max(max, chroma[k]);
+  }
+
+  if (max > 0) {
+    for (k = 0; k < 12; k++) {
+      chroma[k] /= max;
+    }
+  }
+
+  return chroma;
+};
+
+/**
+ * Calculates a chromagram: the chroma vectors of the frames of a signal,
+ * hopSize samples apart. Only frames entirely inside the signal are used.
+ *
+ * @param {Array}  signal  The signal
+ * @param {Number} hopSize The number of samples between the frames
+ * @param {Number} tuning  The frequency of A4 in Hz (default 440)
+ *
+ * @returns An array of chroma vectors
+ */
+ConstantQ.prototype.chromagram = function(signal, hopSize, tuning) {
+  var chromagram = [];
+
+  for (var position = 0; position + this.bufferSize <= signal.length; position += hopSize) {
+    this.forward(signal.subarray(position, position + this.bufferSize));
+    chromagram.push(this.chroma(this.spectrum, tuning));
+  }
+
+  return chromagram;
+};
+
+/**
+ * Filterbank is a class for summing a magnitude spectrum into perceptual
+ * bands: triangular filters spaced evenly on a frequency scale, each spanning
+ * from the center of the band below to the center of the band above.
+ *
+ *   DSP.MEL_HTK    mel scale 2595 * log10(1 + f / 700), filters of peak 1 (HTK)
+ *   DSP.MEL_SLANEY mel scale linear below 1 kHz and logarithmic above, filters
+ *                  of unit area so that bands keep the same energy whatever
+ *                  their width (Slaney's Auditory Toolbox)
+ *   DSP.BARK       Bark scale (Traunmuller), filters of peak 1
+ *   DSP.ERB        ERB-rate scale (Glasberg and Moore), filters of peak 1
+ *
+ * Filters narrower than the spectrum resolution may miss every band and
+ * stay silent, use fewer bands or a larger transform if that happens.
+ *
+ * @param {Number} scale        A filterbank scale constant (eg. DSP.MEL_HTK)
+ * @param {Number} bands        The number of bands (eg. 40)
+ * @param {Number} bufferSize   The size of the transform the spectrum comes from
+ * @param {Number} sampleRate   The sampleRate of the signal (eg. 44100)
+ * @param {Number} minFrequency The lower edge of the first band in Hz (default 0)
+ * @param {Number} maxFrequency The upper edge of the last band in Hz (default sampleRate/2)
+ *
+ * @constructor
+ */
+function Filterbank(scale, bands, bufferSize, sampleRate, minFrequency, maxFrequency) {
+  this.scale        = scale;
+  this.bands        = bands;
+  this.bufferSize   = bufferSize;
+  this.sampleRate   = sampleRate;
+  this.minFrequency = minFrequency || 0;
+  this.maxFrequency = Math.min(maxFrequency || sampleRate / 2, sampleRate / 2);
+
+  if (!Filterbank.scales[scale]) { throw "Invalid filterbank scale."; }
+  if (this.minFrequency >= this.maxFrequency) { throw "Invalid frequency range, minFrequency must be below maxFrequency."; }
+
+  var size     = Math.floor(bufferSize / 2),
+      minValue = Filterbank.hzToScale(scale, this.minFrequency),
+      maxValue = Filterbank.hzToScale(scale, this.maxFrequency),
+      edges    = new Float32Array(bands + 2),
+      filter, frequency, gain, b, k;
+
+  // Band b spans edges b to b + 2 and peaks at edge b + 1
+  for (b = 0; b < bands + 2; b++) {
+    edges[b] = Filterbank.scaleToHz(scale, minValue + (maxValue - minValue) * b / (bands + 1));
+  }
+
+  this.edges = edges;
+  this.centerFrequencies = edges.subarray(1, bands + 1);
+  this.filters = [];
+
+  for (b = 0; b < bands; b++) {
+    filter = new Float32Array(size);
+    gain = scale === DSP.MEL_SLANEY ? 2 / (edges[b + 2] - edges[b]) : 1;
+
+    for (k = 0; k < size; k++) {
+      frequency = k * sampleRate / bufferSize;
+
+      if (frequency > edges[b] && frequency < edges[b + 2]) {
+        filter[k] = gain * (frequency <= edges[b + 1] ? (frequency - edges[b]) / (edges[b + 1] - edges[b]) :
+                                                        (edges[b + 2] - frequency) / (edges[b + 2] - edges[b + 1]));
+      }
+    }
+
+    this.filters[b] = filter;
+  }
+
+  this.energies = new Float32Array(bands);
+}
+
+/**
+ * The frequency scales, converting from Hz (toScale) and back (toHz).
+ */
+Filterbank.scales = {};
+
+Filterbank.scales[DSP.MEL_HTK] = {
+  toScale: function(f) { return 2595 * Math.log(1 + f / 700) / Math.LN10; },
+  toHz:    function(m) { return 700 * (Math.pow(10, m / 2595) - 1); }
+};
+
+// 3 mels per 200 Hz up to 1 kHz, then 27 mels per factor of 6.4
+Filterbank.scales[DSP.MEL_SLANEY] = {
+  toScale: function(f) { return f < 1000 ? 3 * f / 200 : 15 + 27 * Math.log(f / 1000) / Math.log(6.4); },
+  toHz:    function(m) { return m < 15 ? 200 * m / 3 : 1000 * Math.pow(6.4, (m - 15) / 27); }
+};
+
+Filterbank.scales[DSP.BARK] = {
+  toScale: function(f) { return 26.81 * f / (1960 + f) - 0.53; },
+  toHz:    function(z) { return 1960 * (z + 0.53) / (26.28 - z); }
+};
+
+Filterbank.scales[DSP.ERB] = {
+  toScale: function(f) { return 21.4 * Math.log(1 + 0.00437 * f) / Math.LN10; },
+  toHz:    function(e) { return (Math.pow(10, e / 21.4) - 1) / 0.00437; }
+};
+
+/**
+ * Converts a frequency in Hz to a filterbank scale.
+ *
+ * @param {Number} scale     A filterbank scale constant
+ * @param {Number} frequency The frequency in Hz
+ *
+ * @returns The frequency in mels, Barks or ERBs
+ */
+Filterbank.hzToScale = function(scale, frequency) {
+  return Filterbank.scales[scale].toScale(frequency);
+};
+
+/**
+ * Converts a frequency on a filterbank scale to Hz.
+ *
+ * @param {Number} scale A filterbank scale constant
+ * @param {Number} value The frequency in mels, Barks or ERBs
+ *
+ * @returns The frequency in Hz
+ */
+Filterbank.scaleToHz = function(scale, value) {
+  return Filterbank.scales[scale].toHz(value);
+};
+
+/**
+ * Filters a spectrum into bands.
+ *
+ * @param {Object}  spectrum A FourierTransform instance or magnitude spectrum of bufferSize/2 bands
+ * @param {Boolean} power    Sum the squared magnitudes (band energies) instead of the magnitudes
+ *
+ * @returns The band values (this.energies)
+ */
+Filterbank.prototype.process = function(spectrum, power) {
+  var energies = this.energies,
+      filter, sum, value, size, b, k;
+
+  spectrum = spectrum.spectrum || spectrum;
+  size = spectrum.length;
+
+  if (size !== this.filters[0].length) { throw "Supplied spectrum is not the same size as defined Filterbank. Spectrum Size: " + this.filters[0].length + " Supplied Size: " + size; }
+
+  for (b = 0; b < this.bands; b++) {
+    filter = this.filters[b];
+    sum = 0;
+
+    for (k = 0; k < size; k++) {
+      if (filter[k]) {
+        value = spectrum[k];
+        sum += filter[k] * (power ? value * value : value);
+      }
+    }
+
+    energies[b] = sum;
+  }
+
+  return energies;
+};
+
+/**
+ * SpectralFeatures is a class for extracting audio descriptors from the
+ * magnitude spectra of consecutive frames, as given by FourierTransform
+ * spectrum (FFT, RFFT, DFT...).
+ *
+ * Band k of the spectrum is taken to be at k * sampleRate / bufferSize Hz.
+ * Every method accepts either a FourierTransform instance or a magnitude
+ * array of bufferSize/2 bands.
+ *
+ * @param {Number} bufferSize The size of the transform the spectra come from
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ * @param {Number} melBands   The number of mel bands used for MFCCs (default 40)
+ * @param {Number} mfccCount  The number of MFCCs (default 13)
+ *
+ * @constructor
+ */
+function SpectralFeatures(bufferSize, sampleRate, melBands, mfccCount) {
+  this.bufferSize = bufferSize;
+  this.sampleRate = sampleRate;
+  this.melBands   = melBands || 40;
+  this.mfccCount  = Math.min(mfccCount || 13, this.melBands);
+
+  // Fraction of the spectral energy below the rolloff frequency
+  this.rolloffPercent = 0.85;
+
+  this.size        = Math.floor(bufferSize / 2);
+  this.bandwidth   = sampleRate / bufferSize;
+  this.filterbank  = new Filterbank(DSP.MEL_HTK, this.melBands, bufferSize, sampleRate);
+  this.dct         = new DCT(this.melBands, true);
+  this.logEnergies = new Float32Array(this.melBands);
+
+  this.reset();
+}
+
+/**
+ * Forgets the previous frame used by flux.
+ */
+SpectralFeatures.prototype.reset = function() {
+  this.previous = new Float32Array(this.size);
+};
+
+/**
+ * Gets the magnitude array of a FourierTransform or magnitude array.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The magnitude array
+ */
+SpectralFeatures.prototype.magnitudes = function(spectrum) {
+  spectrum = spectrum.spectrum || spectrum;
+
+  if (spectrum.length !== this.size) { throw "Supplied spectrum is not the same size as defined SpectralFeatures. Spectrum Size: " + this.size + " Supplied Size: " + spectrum.length; }
+
+  return spectrum;
+};
+
+/**
+ * Calculates the spectral centroid, the magnitude weighted mean frequency.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The centroid in Hz (0 for silence)
+ */
+SpectralFeatures.prototype.centroid = function(spectrum) {
+  var magnitudes = this.magnitudes(spectrum),
+      sum        = 0,
+      weighted   = 0;
+
+  for (var k = 0; k < this.size; k++) {
+    sum += magnitudes[k];
+    weighted += k * this.bandwidth * magnitudes[k];
+  }
+
+  return sum > 0 ? weighted / sum : 0;
+};
+
+/**
+ * Calculates the spectral spread, the magnitude weighted standard deviation
+ * of the frequency around the centroid.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The spread in Hz (0 for silence)
+ */
+SpectralFeatures.prototype.spread = function(spectrum) {
+  var magnitudes = this.magnitudes(spectrum),
+      centroid   = this.centroid(magnitudes),
+      sum        = 0,
+      weighted   = 0,
+      deviation;
+
+  for (var k = 0; k < this.size; k++) {
+    deviation = k * this.bandwidth - centroid;
+    sum += magnitudes[k];
+    weighted += deviation * deviation * magnitudes[k];
+  }
+
+  return sum > 0 ? Math.sqrt(weighted / sum) : 0;
+};
+
+/**
+ * Calculates the spectral rolloff, the frequency below which rolloffPercent
+ * of the spectral energy (squared magnitudes) lies.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The rolloff in Hz (0 for silence)
+ */
+SpectralFeatures.prototype.rolloff = function(spectrum) {
+  var magnitudes = this.magnitudes(spectrum),
+      total      = 0,
+      sum        = 0,
+      k;
+
+  for (k = 0; k < this.size; k++) {
+    total += magnitudes[k] * magnitudes[k];
+  }
+
+  if (total === 0) {
+    return 0;
+  }
+
+  for (k = 0; k < this.size; k++) {
+    sum += magnitudes[k] * magnitudes[k];
+
+    if (sum >= this.rolloffPercent * total) {
+      break;
+    }
+  }
+
+  return Math.min(k, this.size - 1) * this.bandwidth;
+};
+
+/**
+ * Calculates the spectral flux, the euclidean distance between the magnitudes
+ * of this frame and those of the previous one (silence for the first frame),
+ * and keeps this frame for the next call.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The flux
+ */
+SpectralFeatures.prototype.flux = function(spectrum) {
+  var magnitudes = this.magnitudes(spectrum),
+      previous   = this.previous,
+      sum        = 0,
+      difference;
+
+  for (var k = 0; k < this.size; k++) {
+    difference = magnitudes[k] - previous[k];
+    sum += difference * difference;
+  }
+
+  previous.set(magnitudes);
+
+  return Math.sqrt(sum);
+};
+
+/**
+ * Calculates the spectral flatness (Wiener entropy), the geometric mean of
+ * the power spectrum divided by its arithmetic mean. Close to 1 for white
+ * noise, close to 0 for tones.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The flatness, between 0 and 1 (0 for silence)
+ */
+SpectralFeatures.prototype.flatness = function(spectrum) {
+  var magnitudes = this.magnitudes(spectrum),
+      logSum     = 0,
+      sum        = 0,
+      power;
+
+  for (var k = 0; k < this.size; k++) {
+    power = magnitudes[k] * magnitudes[k];
+    logSum += Math.log(power + 1e-20);
+    sum += power;
+  }
+
+  return sum > 0 ? Math.min(1, Math.exp(logSum / this.size) / (sum / this.size)) : 0;
+};
+
+/**
+ * Calculates the spectral crest factor, the largest magnitude divided by the
+ * mean magnitude. 1 for a flat spectrum, up to bufferSize/2 for a single tone.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns The crest factor (0 for silence)
+ */
+SpectralFeatures.prototype.crest = function(spectrum) {
+  var magnitudes = this.magnitudes(spectrum),
+      max        = 0,
+      sum        = 0;
+
+  for (var k = 0; k < this.size; k++) {
+    max = Math.max(max, magnitudes[k]);
+    sum += magnitudes[k];
+  }
+
+  return sum > 0 ? max / (sum / this.size) : 0;
+};
+
+/**
+ * Calculates the zero-crossing rate of a frame of the signal.
+ *
+ * @param {Array} buffer A frame of samples
+ *
+ * @returns The fraction of consecutive samples which change sign, between 0 and 1
+ */
+SpectralFeatures.prototype.zeroCrossingRate = function(buffer) {
+  var crossings = 0;
+
+  for (var i = 1; i < buffer.length; i++) {
+    if ((buffer[i] >= 0) !== (buffer[i - 1] >= 0)) {
+      crossings++;
+    }
+  }
+
+  return buffer.length > 1 ? crossings / (buffer.length - 1) : 0;
+};
+
+/**
+ * Calculates the Mel-Frequency Cepstral Coefficients: the orthonormal DCT-II
+ * of the log energies of the mel bands.
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ *
+ * @returns A new Float32Array of mfccCount coefficients
+ */
+SpectralFeatures.prototype.mfcc = function(spectrum) {
+  var energies    = this.filterbank.process(this.magnitudes(spectrum), true),
+      logEnergies = this.logEnergies;
+
+  for (var b = 0; b < this.melBands; b++) {
+    logEnergies[b] = Math.log(energies[b] + 1e-10);
+  }
+
+  return new Float32Array(this.dct.forward(logEnergies).subarray(0, this.mfccCount));
+};
+
+/**
+ * Calculates every feature of a frame. The flux is against the previous
+ * frame passed to process() or flux().
+ *
+ * @param {Object} spectrum A FourierTransform instance or magnitude array
+ * @param {Array}  buffer   The frame of samples, for the zero-crossing rate (optional)
+ *
+ * @returns An object with centroid, spread, rolloff, flux, flatness, crest,
+ *          zeroCrossingRate (when buffer is given) and mfcc
+ */
+SpectralFeatures.prototype.process = function(spectrum, buffer) {
+  var magnitudes = this.magnitudes(spectrum),
+      features   = {
+        centroid: this.centroid(magnitudes),
+        spread:   this.spread(magnitudes),
+        rolloff:  this.rolloff(magnitudes),
+        flux:     this.flux(magnitudes),
+        flatness: this.flatness(magnitudes),
+        crest:    this.crest(magnitudes),
+        mfcc:     this.mfcc(magnitudes)
+      };
+
+  if (buffer) {
+    features.zeroCrossingRate = this.zeroCrossingRate(buffer);
+  }
+
+  return features;
+};
+
+/**
+ * PitchDetector is a class for estimating the fundamental frequency of
+ * monophonic blocks of a signal.
+ *
+ *   DSP.YIN             YIN (de Cheveigne and Kawahara): the first dip of the
+ *                       cumulative mean normalized difference function below
+ *                       threshold, confidence is 1 - its value
+ *   DSP.AUTOCORRELATION the first peak of the normalized square difference
+ *                       function (McLeod), an autocorrelation calculated with
+ *                       an FFT, within 10% of the highest peak. Confidence is
+ *                       its value, a block is voiced above 1 - threshold
+ *
+ * Periods are refined with parabolic interpolation. The longest period must
+ * fit twice in a block for YIN and once for the autocorrelation.
+ *
+ * @param {Number} method       A pitch detection method constant (default DSP.YIN)
+ * @param {Number} bufferSize   The size of the blocks. Must be power of 2
+ * @param {Number} sampleRate   The sampleRate of the signal (eg. 44100)
+ * @param {Number} minFrequency The lowest frequency detected in Hz (default the lowest the block allows)
+ * @param {Number} maxFrequency The highest frequency detected in Hz (default sampleRate / 4)
+ * @param {Number} threshold    The voicing threshold (default 0.15)
+ *
+ * @constructor
+ */
+function PitchDetector(method, bufferSize, sampleRate, minFrequency, maxFrequency, threshold) {
+  this.method     = method || DSP.YIN;
+  this.bufferSize = bufferSize;
+  this.sampleRate = sampleRate;
+  this.threshold  = threshold || 0.15;
+
+  // The lag range searched
+  var maxLag = this.method === DSP.YIN ? bufferSize >>> 1 : bufferSize - 1;
+
+  this.minFrequency = Math.max(minFrequency || 0, sampleRate / maxLag);
+  this.maxFrequency = Math.min(maxFrequency || sampleRate / 4, sampleRate / 2);
+  this.minLag = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+  this.maxLag = Math.min(maxLag, Math.ceil(sampleRate / this.minFrequency));
+
+  if (this.minLag >= this.maxLag) { throw "Invalid frequency range for the buffer size."; }
+
+  this.difference = new Float32Array(this.maxLag + 2);
+
+  if (this.method === DSP.AUTOCORRELATION) {
+    this.fft    = new FFT(2 * bufferSize, sampleRate);
+    this.padded = new Float32Array(2 * bufferSize);
+    this.zeros  = new Float32Array(2 * bufferSize);
+  }
+
+  this.frequency  = 0;
+  this.period     = 0;
+  this.confidence = 0;
+  this.voiced     = false;
+}
+
+/**
+ * Estimates the fundamental frequency of a block.
+ *
+ * Sets this.frequency (the best estimate even when unvoiced), this.period (in
+ * samples), this.confidence (0 to 1) and this.voiced.
+ *
+ * @param {Array} buffer A block of bufferSize samples
+ *
+ * @returns The frequency in Hz, 0 for unvoiced blocks
+ */
+PitchDetector.prototype.process = function(buffer) {
+  var energy = 0;
+
+  if (buffer.length !== this.bufferSize) { throw "Supplied buffer is not the same size as defined PitchDetector. PitchDetector Size: " + this.bufferSize + " Buffer Size: " + buffer.length; }
+
+  for (var i = 0; i < buffer.length; i++) {
+    energy += buffer[i] * buffer[i];
+  }
+
+  if (energy === 0) {
+    this.frequency  = 0;
+    this.period     = 0;
+    this.confidence = 0;
+    this.voiced     = false;
+
+    return 0;
+  }
+
+  if (this.method === DSP.AUTOCORRELATION) {
+    this.autocorrelation(buffer);
+  } else {
+    this.yin(buffer);
+  }
+
+  this.frequency = this.sampleRate / this.period;
+
+  return this.voiced ? this.frequency : 0;
+};
+
+/**
+ * Finds the period with YIN.
+ *
+ * @param {Array} buffer A block of bufferSize samples
+ */
+PitchDetector.prototype.yin = function(buffer) {
+  var d         = this.difference,
+      window    = this.bufferSize >>> 1,
+      minLag    = this.minLag,
+      maxLag    = this.maxLag,
+      threshold = this.threshold,
+      sum       = 0,
+      best      = -1,
+      delta, lag, j;
+
+  // Difference function, then cumulative mean normalized in place
+  d[0] = 1;
+
+  for (lag = 1; lag <= maxLag; lag++) {
+    d[lag] = 0;
+
+    for (j = 0; j < window; j++) {
+      delta = buffer[j] - buffer[j + lag];
+      d[lag] += delta * delta;
+    }
+
+    sum += d[lag];
+    d[lag] = sum > 0 ? d[lag] * lag / sum : 1;
+  }
+
+  // The first dip below threshold, followed down to its minimum
+  for (lag = minLag; lag <= maxLag; lag++) {
+    if (d[lag] < threshold) {
+      while (lag + 1 <= maxLag && d[lag + 1] < d[lag]) {
+        lag++;
+      }
+
+      best = lag;
+      break;
+    }
+  }
+
+  // Else the global minimum, unvoiced
+  if (best < 0) {
+    best = minLag;
+
+    for (lag = minLag + 1; lag <= maxLag; lag++) {
+      if (d[lag] < d[best]) {
+        best = lag;
+      }
+    }
+  }
+
+  this.period     = PitchDetector.interpolate(d, best, minLag, maxLag);
+  this.confidence = Math.max(0, Math.min(1, 1 - d[best]));
+  this.voiced     = d[best] < threshold;
+};
+
+/**
+ * Finds the period with the normalized square difference function, from an
+ * autocorrelation calculated with an FFT of the zero padded block.
+ *
+ * @param {Array} buffer A block of bufferSize samples
+ */
+PitchDetector.prototype.autocorrelation = function(buffer) {
+  var n       = this.bufferSize,
+      fft     = this.fft,
+      nsdf    = this.difference,
+      minLag  = this.minLag,
+      maxLag  = this.maxLag,
+      highest = -1,
+      best    = -1,
+      m, r, lag, k;
+
+  this.padded.set(buffer);
+  fft.forward(this.padded);
+
+  // The inverse transform of the power spectrum is the autocorrelation
+  for (k = 0; k < 2 * n; k++) {
+    fft.real[k] = fft.real[k] * fft.real[k] + fft.imag[k] * fft.imag[k];
+    fft.imag[k] = 0;
+  }
+
+  r = fft.inverse(fft.real, this.zeros);
+
+  // m(lag) = sum of x[j]^2 + x[j + lag]^2 over the overlap
+  m = 2 * r[0];
+
+  for (lag = 0; lag <= maxLag + 1 && lag < n; lag++) {
+    nsdf[lag] = m > 0 ? 2 * r[lag] / m : 0;
+    m -= buffer[lag] * buffer[lag] + buffer[n - 1 - lag] * buffer[n - 1 - lag];
+  }
+
+  // The highest peak after the first descent below 0
+  lag = 1;
+
+  while (lag <= maxLag && nsdf[lag] > 0) {
+    lag++;
+  }
+
+  for (; lag <= maxLag; lag++) {
+    if (lag >= minLag && nsdf[lag] > nsdf[lag - 1] && nsdf[lag] >= nsdf[lag + 1] && nsdf[lag] > highest) {
+      highest = nsdf[lag];
+    }
+  }
+
+  // The first peak close to it
+  for (lag = minLag; lag <= maxLag && highest > 0; lag++) {
+    if (nsdf[lag] > nsdf[lag - 1] && nsdf[lag] >= nsdf[lag + 1] && nsdf[lag] >= 0.9 * highest) {
+      best = lag;
+      break;
+    }
+  }
+
+  if (best < 0) {
+    this.period     = maxLag;
+    this.confidence = 0;
+    this.voiced     = false;
+
+    return;
+  }
+
+  this.period     = PitchDetector.interpolate(nsdf, best, minLag, maxLag);
+  this.confidence = Math.max(0, Math.min(1, nsdf[best]));
+  this.voiced     = nsdf[best] > 1 - this.threshold;
+};
+
+/**
+ * Refines the position of an extremum with a parabola through its neighbours.
+ *
+ * @param {Array}  values The function
+ * @param {Number} index  The index of the extremum
+ * @param {Number} min    The lowest index allowed
+ * @param {Number} max    The highest index allowed
+ *
+ * @returns The fractional index of the extremum
+ */
+PitchDetector.interpolate = function(values, index, min, max) {
+  if (index <= min || index >= max) {
+    return index;
+  }
+
+  var a = values[index - 1],
+      b = values[index],
+      c = values[index + 1],
+      denominator = a - 2 * b + c;
+
+  return denominator === 0 ? index : index + 0.5 * (a - c) / denominator;
+};
+
+/**
+ * OnsetDetector is a class for finding the onsets of notes and other events
+ * in a signal. The signal is cut into STFT frames centered every hopSize
+ * samples and each frame gives a value of the detection function:
+ *
+ *   DSP.SPECTRAL_FLUX  sum of the magnitude increases of all bins
+ *   DSP.HFC            high frequency content, sum of the bin powers weighted
+ *                      by their frequency (Masri)
+ *   DSP.COMPLEX_DOMAIN sum of the distances of the bins to the values predicted
+ *                      from the two previous frames assuming steady amplitude
+ *                      and frequency (Bello, Duxbury)
+ *   DSP.ENERGY         increase of the frame energy
+ *
+ * Magnitudes are scaled like FourierTransform.spectrum. A frame is an onset
+ * when its value is the largest within 30 ms on either side, is above
+ * lambda times the median of the values from 100 ms before to 30 ms after it
+ * (adaptive threshold) plus delta times the largest value since reset, is
+ * louder than silence dBFS and comes at least minInterval seconds after the
+ * previous onset. Onsets are thus reported 30 ms (rounded up to whole
+ * frames) after they happen.
+ *
+ * The frame only tells the onset to within a frame, so its position is then
+ * refined in the samples of the frame (see refine). Onsets are found to
+ * within a few samples when they rise well above the sound before them.
+ *
+ * The frames reaching past the end of the stream are zero padded, and the cut
+ * of the signal would look like an onset, so they are not analyzed: onsets in
+ * the last frameSize/2 samples of the stream are not found.
+ *
+ * @param {Number} method     A detection function constant (default DSP.SPECTRAL_FLUX)
+ * @param {Number} frameSize  The size of the analysis frames. Must be power of 2 (eg. 1024)
+ * @param {Number} hopSize    The number of samples between frames (eg. 512)
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ * @param {Number} lambda     The median multiplier of the threshold (default 1)
+ * @param {Number} delta      The threshold offset relative to the largest value (default 0.05)
+ *
+ * @constructor
+ */
+function OnsetDetector(method, frameSize, hopSize, sampleRate, lambda, delta) {
+  this.method     = method || DSP.SPECTRAL_FLUX;
+  this.frameSize  = frameSize;
+  this.hopSize    = hopSize;
+  this.sampleRate = sampleRate;
+  this.lambda     = typeof lambda === "undefined" ? 1 : lambda;
+  this.delta      = typeof delta === "undefined" ? 0.05 : delta;
+
+  this.minInterval = 0.03;  // seconds
+  this.silence     = -60;   // dBFS, quieter frames are never onsets
+
+  this.maxFrames    = Math.ceil(0.03 * sampleRate / hopSize);
+  this.medianFrames = Math.ceil(0.1 * sampleRate / hopSize);
+
+  this.bins = (frameSize >>> 1) + 1;
+  this.stft = new STFT(frameSize, hopSize, sampleRate, DSP.HANN, DSP.CENTERPAD);
+
+  // The latest samples, enough to cover a frame when its peak is picked
+  this.samples = new Float32Array(frameSize + (this.maxFrames + 2) * hopSize);
+
+  // Mean of the squared window, to get the signal level from a frame
+  this.windowPower = 0;
+
+  for (var i = 0; i < frameSize; i++) {
+    this.windowPower += this.stft.window[i] * this.stft.window[i] / frameSize;
+  }
+
+  this.reset();
+}
+
+/**
+ * Clears the stream state so that a new signal can be analyzed.
+ */
+OnsetDetector.prototype.reset = function() {
+  this.stft.reset();
+
+  this.previousMagnitude = new Float32Array(this.bins);
+  this.previousPhase     = new Float32Array(this.bins);
+  this.olderPhase        = new Float32Array(this.bins);
+  this.previousEnergy    = 0;
+
+  // Detection function values of frames first to first + values.length - 1,
+  // frame next is the next peak candidate
+  this.values    = [];
+  this.levels    = [];
+  this.first     = 0;
+  this.next      = 0;
+  this.largest   = 0;
+  this.lastOnset = -Infinity;
+
+  // Sample index n is at samples[n % samples.length] until overwritten
+  this.received = 0;
+};
+
+/**
+ * Calculates the detection function of the next STFT frame, and its level
+ * in dBFS (this.level).
+ *
+ * @param {Object} frame A frame object from STFT
+ *
+ * @returns The detection function value
+ */
+OnsetDetector.prototype.detectionFunction = function(frame) {
+  var bins      = this.bins,
+      magnitude = frame.magnitude,
+      phase     = frame.phase,
+      scale     = 2 / this.frameSize,
+      previous  = this.previousMagnitude,
+      value     = 0,
+      energy    = 0,
+      power     = 0,
+      m, difference, target, k;
+
+  for (k = 0; k < bins; k++) {
+    m = magnitude[k] * scale;
+
+    // Parseval, bins 1 to frameSize/2 - 1 stand for their negative frequency too
+    power += (k === 0 || k === bins - 1 ? 1 : 2) * m * m;
+
+    switch (this.method) {
+      case DSP.HFC:
+        value += k / bins * m * m;
+        break;
+
+      case DSP.COMPLEX_DOMAIN:
+        // The previous magnitude with the phase advancing as much as it did last frame
+        target = 2 * this.previousPhase[k] - this.olderPhase[k];
+        value += Math.sqrt(m * m + previous[k] * previous[k] - 2 * m * previous[k] * Math.cos(phase[k] - target));
+        break;
+
+      case DSP.ENERGY:
+        energy += m * m;
+        break;
+
+      default:
+        difference = m - previous[k];
+        value += difference > 0 ? difference : 0;
+        break;
+    }
+
+    previous[k] = m;
+  }
+
+  this.olderPhase.set(this.previousPhase);
+  this.previousPhase.set(phase);
+
+  // power / 4 is the mean square of the windowed frame
+  this.level = 10 * Math.log(power / (4 * this.windowPower) + 1e-20) / Math.LN10;
+
+  if (this.method === DSP.ENERGY) {
+    value = Math.max(0, energy - this.previousEnergy);
+    this.previousEnergy = energy;
+  }
+
+  return value;
+};
+
+/**
+ * Decides whether a frame is an onset, from the detection function values
+ * around it (fewer at the end of the stream).
+ *
+ * @param {Number} frame The frame index
+ *
+ * @returns The onset sample index, or -1
+ */
+OnsetDetector.prototype.pickPeak = function(frame) {
+  var values = this.values,
+      c      = frame - this.first,
+      value  = values[c],
+      last   = Math.min(values.length - 1, c + this.maxFrames),
+      window = [],
+      median, time, i;
+
+  // The largest value around, the first one when several are equal
+  for (i = Math.max(0, c - this.maxFrames); i <= last; i++) {
+    if (i < c ? values[i] >= value : values[i] > value) {
+      return -1;
+    }
+  }
+
+  for (i = Math.max(0, c - this.medianFrames); i <= last; i++) {
+    window.push(values[i]);
+  }
+
+  window.sort(function(a, b) { return a - b; });
+  median = window[window.length >>> 1];
+
+  if (this.levels[c] < this.silence || value <= this.lambda * median + this.delta * this.largest) {
+    return -1;
+  }
+
+  // Frames are centered on their index times hopSize
+  time = this.refine(frame * this.hopSize);
+
+  if (time - this.lastOnset < this.minInterval * this.sampleRate) {
+    return -1;
+  }
+
+  this.lastOnset = time;
+
+  return time;
+};
+
+/**
+ * Finds the sample which best splits the frame centered on a sample into a
+ * quieter and a louder part: the minimum of the Akaike information criterion
+ *
+ *   AIC(n) = (n - first) log(var(first..n-1)) + (last - n) log(var(n..last-1))
+ *
+ * of a change of variance at n (Maeda), among the samples where the variance
+ * rises.
+ *
+ * @param {Number} center The sample index of the frame center
+ *
+ * @returns The sample index of the onset
+ */
+OnsetDetector.prototype.refine = function(center) {
+  var samples = this.samples,
+      size    = samples.length,
+      half    = this.frameSize >>> 1,
+      first   = Math.max(0, this.received - size, center - half),
+      last    = Math.min(this.received, center + half),
+      energy  = new Float64Array(last - first + 1),
+      floor   = Math.pow(10, this.silence / 10),
+      best    = center,
+      smallest = Infinity,
+      before, after, aic, n;
+
+  // energy[n - first] is the energy of samples first to n - 1
+  for (n = first; n < last; n++) {
+    energy[n - first + 1] = energy[n - first] + samples[n % size] * samples[n % size];
+  }
+
+  for (n = first + 1; n < last; n++) {
+    before = energy[n - first] / (n - first) + floor;
+    after  = (energy[last - first] - energy[n - first]) / (last - n) + floor;
+    aic    = (n - first) * Math.log(before) + (last - n) * Math.log(after);
+
+    if (after > before && aic < smallest) {
+      smallest = aic;
+      best = n;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Adds the detection function values of STFT frames and picks the peaks
+ * which have enough values after them.
+ *
+ * @param {Array}   frames Frame objects from STFT
+ * @param {Boolean} end    True to pick the remaining peaks at the end of the stream
+ *
+ * @returns An Array of onset sample indexes
+ */
+OnsetDetector.prototype.addFrames = function(frames, end) {
+  var onsets = [],
+      value, onset, i;
+
+  for (i = 0; i <= frames.length; i++) {
+    if (i < frames.length) {
+      value = this.detectionFunction(frames[i]);
+      this.values.push(value);
+      this.levels.push(this.level);
+      this.largest = Math.max(this.largest, value);
+    } else if (!end) {
+      break;
+    }
+
+    while (this.next < this.first + this.values.length &&
+           (this.next + this.maxFrames < this.first + this.values.length || (end && i === frames.length))) {
+      onset = this.pickPeak(this.next++);
+
+      if (onset >= 0) {
+        onsets.push(onset);
+      }
+    }
+
+    // Drop the values which left the median window
+    while (this.first < this.next - this.medianFrames) {
+      this.values.shift();
+      this.levels.shift();
+      this.first++;
+    }
+  }
+
+  return onsets;
+};
+
+/**
+ * Streams a block of samples through the detector.
+ *
+ * @param {Array} buffer A mono sample buffer of any length
+ *
+ * @returns An Array of the onsets found (sample indexes from the start of the stream)
+ */
+OnsetDetector.prototype.process = function(buffer) {
+  var samples = this.samples,
+      onsets  = [],
+      block, end, i, j;
+
+  // Feed the STFT hop by hop, so that the samples of a frame are still
+  // there when its peak is picked
+  for (i = 0; i < buffer.length; i = end) {
+    end = Math.min(buffer.length, i + this.hopSize);
+    block = buffer.subarray ? buffer.subarray(i, end) : buffer.slice(i, end);
+
+    for (j = 0; j < block.length; j++) {
+      samples[this.received++ % samples.length] = block[j];
+    }
+
+    onsets = onsets.concat(this.addFrames(this.stft.process(block), false));
+  }
+
+  return onsets;
+};
+
+/**
+ * Ends the stream and picks the remaining onsets. Call reset() before
+ * streaming a new signal.
+ *
+ * @returns An Array of the remaining onsets
+ */
+OnsetDetector.prototype.flush = function() {
+  // Every frame left in the STFT reaches into the zero padding
+  return this.addFrames([], true);
+};
+
+/**
+ * Finds the onsets of a complete signal.
+ *
+ * @param {Array} signal A mono sample buffer of any length
+ *
+ * @returns An Array of onset sample indexes (divide by sampleRate for seconds)
+ */
+OnsetDetector.prototype.detect = function(signal) {
+  this.reset();
+  return this.process(signal).concat(this.flush());
+};
+
+/**
+ * TempoTracker is a class for estimating the tempo and the beat phase of a
+ * stream of samples. The stream is analyzed like in OnsetDetector (spectral
+ * flux of STFT frames) and the last historySeconds of the detection function
+ * are autocorrelated. The tempo is the strongest period between minBPM and
+ * maxBPM, weighted by a log-Gaussian preference for preferredBPM to settle
+ * octave ambiguities. The beat phase is the offset of the comb of that period
+ * best aligned with the detection function.
+ *
+ * Time is counted in samples from the start of the stream (frames are
+ * centered every hopSize samples), never read from a clock, so the analysis
+ * of a file only depends on its samples. After every frame:
+ *
+ *   bpm        The tempo in beats per minute (0 until there is enough history)
+ *   confidence The autocorrelation at the beat period relative to the one at
+ *              0, between 0 and 1
+ *   beatPeriod The beat period in samples
+ *   lastBeat   The sample index of the last beat
+ *   nextBeat   The predicted sample index of the next beat
+ *   phase      The fraction of the beat period elapsed at this.time, 0 to 1
+ *   time       The sample index of the center of the last frame
+ *
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ * @param {Number} minBPM     The slowest tempo (default 60)
+ * @param {Number} maxBPM     The fastest tempo (default 200)
+ * @param {Number} frameSize  The size of the analysis frames. Must be power of 2 (default 1024)
+ * @param {Number} hopSize    The number of samples between frames (default 512)
+ *
+ * @constructor
+ */
+function TempoTracker(sampleRate, minBPM, maxBPM, frameSize, hopSize) {
+  this.sampleRate = sampleRate;
+  this.minBPM     = minBPM || 60;
+  this.maxBPM     = maxBPM || 200;
+  this.frameSize  = frameSize || 1024;
+  this.hopSize    = hopSize || (this.frameSize >>> 1);
+
+  this.preferredBPM   = 120;
+  this.octaveWidth    = 1;  // standard deviation of the preference in octaves
+  this.historySeconds = 8;
+
+  this.detector  = new OnsetDetector(DSP.SPECTRAL_FLUX, this.frameSize, this.hopSize, sampleRate);
+  this.frameRate = sampleRate / this.hopSize;
+
+  this.minLag = Math.max(1, Math.floor(60 * this.frameRate / this.maxBPM));
+  this.maxLag = Math.ceil(60 * this.frameRate / this.minBPM);
+
+  if (this.minLag >= this.maxLag) { throw "Invalid tempo range for the hop size."; }
+
+  this.historySize = Math.max(Math.ceil(this.historySeconds * this.frameRate), 2 * this.maxLag + 2);
+
+  this.signal          = new Float32Array(this.historySize);
+  this.autocorrelation = new Float32Array(this.maxLag + 2);
+  this.weighted        = new Float32Array(this.maxLag + 2);
+
+  this.reset();
+}
+
+/**
+ * Clears the stream state so that a new signal can be analyzed.
+ */
+TempoTracker.prototype.reset = function() {
+  this.detector.reset();
+
+  this.history = new Float32Array(this.historySize);
+  this.frames  = 0;
+
+  this.bpm        = 0;
+  this.confidence = 0;
+  this.beatPeriod = 0;
+  this.lastBeat   = -1;
+  this.nextBeat   = -1;
+  this.phase      = 0;
+  this.time       = 0;
+};
+
+/**
+ * Streams a block of samples through the tracker.
+ *
+ * @param {Array} buffer A mono sample buffer of any length
+ *
+ * @returns The current tempo in BPM (0 until there is enough history)
+ */
+TempoTracker.prototype.process = function(buffer) {
+  this.addFrames(this.detector.stft.process(buffer));
+
+  return this.bpm;
+};
+
+/**
+ * Ends the stream. Call reset() before streaming a new signal.
+ *
+ * @returns The final tempo in BPM
+ */
+TempoTracker.prototype.flush = function() {
+  this.addFrames(this.detector.stft.flush());
+
+  return this.bpm;
+};
+
+/**
+ * Estimates the tempo of a complete signal.
+ *
+ * @param {Array} signal A mono sample buffer of any length
+ *
+ * @returns The tempo in BPM (0 when the signal is too short)
+ */
+TempoTracker.prototype.analyze = function(signal) {
+  this.reset();
+  this.process(signal);
+
+  return this.flush();
+};
+
+/**
+ * Adds the detection function values of STFT frames to the history and
+ * updates the estimates.
+ *
+ * @param {Array} frames Frame objects from STFT
+ */
+TempoTracker.prototype.addFrames = function(frames) {
+  for (var i = 0; i < frames.length; i++) {
+    this.history[this.frames % this.historySize] = this.detector.detectionFunction(frames[i]);
+    this.time = this.frames * this.hopSize;
+    this.frames++;
+
+    if (this.frames > 2 * this.maxLag) {
+      this.estimate();
+    }
+  }
+};
+
+/**
+ * Estimates the tempo and beat phase from the history.
+ */
+TempoTracker.prototype.estimate = function() {
+  var n               = Math.min(this.frames, this.historySize),
+      signal          = this.signal,
+      autocorrelation = this.autocorrelation,
+      weighted        = this.weighted,
+      minLag          = this.minLag,
+      maxLag          = this.maxLag,
+      start           = this.frames - n,
+      mean            = 0,
+      best            = -1,
+      sum, octaves, period, offset, score, bestScore, lag, i, k;
+
+  // The history in order, without its mean
+  for (i = 0; i < n; i++) {
+    signal[i] = this.history[(start + i) % this.historySize];
+    mean += signal[i] / n;
+  }
+
+  for (i = 0; i < n; i++) {
+    signal[i] -= mean;
+  }
+
+  // Unbiased autocorrelation, weighted by the tempo preference
+  for (lag = 0; lag <= maxLag + 1; lag++) {
+    sum = 0;
+
+    for (i = 0; i + lag < n; i++) {
+      sum += signal[i] * signal[i + lag];
+    }
+
+    autocorrelation[lag] = sum / (n - lag);
+
+    octaves = lag > 0 ? Math.log(60 * this.frameRate / lag / this.preferredBPM) / Math.LN2 / this.octaveWidth : 0;
+    weighted[lag] = autocorrelation[lag] * Math.exp(-0.5 * octaves * octaves);
+  }
+
+  for (lag = minLag; lag <= maxLag; lag++) {
+    if (weighted[lag] > 0 && (best < 0 || weighted[lag] > weighted[best])) {
+      best = lag;
+    }
+  }
+
+  if (best < 0 || autocorrelation[0] <= 0) {
+    return;
+  }
+
+  period = best;
+
+  // Parabolic interpolation of the peak
+  if (best > minLag && best < maxLag) {
+    sum = weighted[best - 1] - 2 * weighted[best] + weighted[best + 1];
+
+    if (sum < 0) {
+      period += 0.5 * (weighted[best - 1] - weighted[best + 1]) / sum;
+    }
+  }
+
+  // The offset back from the last frame of the comb with the largest sum
+  bestScore = -Infinity;
+
+  for (offset = 0; offset < Math.ceil(period); offset++) {
+    score = 0;
+
+    for (k = 0; offset + k * period < n; k++) {
+      score += signal[n - 1 - Math.round(offset + k * period)];
+    }
+
+    score /= k;
+
+    if (score > bestScore) {
+      bestScore = score;
+      i = offset;
+    }
+  }
+
+  this.bpm        = 60 * this.frameRate / period;
+  this.confidence = Math.max(0, Math.min(1, autocorrelation[best] / autocorrelation[0]));
+  this.beatPeriod = period * this.hopSize;
+  this.lastBeat   = this.time - i * this.hopSize;
+  this.nextBeat   = this.lastBeat + this.beatPeriod;
+  this.phase      = i / period;
+};
+
+/**
+ * Cepstrum is a class for calculating the cepstrum of a signal, the inverse
+ * Fourier transform of its log spectrum. Periodicities of the spectrum, like
+ * the harmonics of a pitched sound or the ripple caused by an echo, show up
+ * as peaks at their period in samples (quefrency) while the spectral
+ * envelope stays in the first few coefficients.
+ *
+ *   real()    the real cepstrum, from the log magnitude
+ *   complex() the complex cepstrum, from the log magnitude and the unwrapped
+ *             phase, which can be turned back into the signal
+ *
+ * @param {Number} bufferSize The size of the sample buffer to be computed. Must be power of 2
+ * @param {Number} sampleRate The sampleRate of the buffer (eg. 44100)
+ *
+ * @constructor
+ */
+function Cepstrum(bufferSize, sampleRate) {
+  this.bufferSize = bufferSize;
+  this.sampleRate = sampleRate;
+
+  // Magnitudes below are clamped so that their log stays finite
+  this.floor = 1e-10;
+
+  this.fft      = new FFT(bufferSize, sampleRate);
+  this.logReal  = new Float32Array(bufferSize);
+  this.logImag  = new Float32Array(bufferSize);
+  this.zeros    = new Float32Array(bufferSize);
+  this.envelope = new Float32Array(bufferSize >>> 1);
+
+  this.cepstrum = new Float32Array(bufferSize);
+  this.delay    = 0;
+}
+
+/**
+ * Calculates the real cepstrum of the sample buffer.
+ *
+ * @param {Array} buffer The sample buffer (windowed if need be)
+ *
+ * @returns The real cepstrum (this.cepstrum)
+ */
+Cepstrum.prototype.real = function(buffer) {
+  var n   = this.bufferSize,
+      fft = this.fft,
+      i;
+
+  fft.forward(buffer);
+
+  for (i = 0; i < n; i++) {
+    this.logReal[i] = Math.log(Math.max(this.floor, Math.sqrt(fft.real[i] * fft.real[i] + fft.imag[i] * fft.imag[i])));
+  }
+
+  this.cepstrum.set(fft.inverse(this.logReal, this.zeros));
+
+  return this.cepstrum;
+};
+
+/**
+ * Calculates the complex cepstrum of the sample buffer. The linear phase
+ * (a delay of this.delay samples) is removed from the unwrapped phase first
+ * and must be given back to inverseComplex().
+ *
+ * @param {Array} buffer The sample buffer
+ *
+ * @returns The complex cepstrum (this.cepstrum), a real array for a real signal
+ */
+Cepstrum.prototype.complex = function(buffer) {
+  var n       = this.bufferSize,
+      half    = n >>> 1,
+      fft     = this.fft,
+      logReal = this.logReal,
+      logImag = this.logImag,
+      angle, last, delta, delay, i;
+
+  fft.forward(buffer);
+
+  // Unwrap the phase of bins 0 to N/2
+  for (i = 0; i <= half; i++) {
+    logReal[i] = Math.log(Math.max(this.floor, Math.sqrt(fft.real[i] * fft.real[i] + fft.imag[i] * fft.imag[i])));
+    angle = Math.atan2(fft.imag[i], fft.real[i]);
+
+    if (i === 0) {
+      logImag[i] = angle;
+    } else {
+      delta = angle - last;
+      logImag[i] = logImag[i - 1] + delta - DSP.TWO_PI * Math.round(delta / DSP.TWO_PI);
+    }
+
+    last = angle;
+  }
+
+  // The phase at Nyquist is a whole number of PI for a real signal, minus
+  // PI per sample of delay
+  delay = -Math.round(logImag[half] / Math.PI);
+
+  for (i = 0; i <= half; i++) {
+    logImag[i] += Math.PI * delay * i / half;
+  }
+
+  // Even log magnitude and odd phase
+  for (i = half + 1; i < n; i++) {
+    logReal[i] = logReal[n - i];
+    logImag[i] = -logImag[n - i];
+  }
+
+  this.delay = delay;
+  this.cepstrum.set(fft.inverse(logReal, logImag));
+
+  return this.cepstrum;
+};
+
+/**
+ * Turns a complex cepstrum back into the signal.
+ *
+ * @param {Array}  cepstrum A complex cepstrum (default this.cepstrum)
+ * @param {Number} delay    The linear phase removed by complex() (default this.delay)
+ *
+ * @returns A new Float32Array of the signal
+ */
+Cepstrum.prototype.inverseComplex = function(cepstrum, delay) {
+  var n    = this.bufferSize,
+      half = n >>> 1,
+      fft  = this.fft,
+      magnitude, angle, i;
+
+  cepstrum = cepstrum || this.cepstrum;
+  delay = typeof delay === "undefined" ? this.delay : delay;
+
+  fft.forward(cepstrum);
+
+  for (i = 0; i < n; i++) {
+    magnitude = Math.exp(fft.real[i]);
+    angle = fft.imag[i] - Math.PI * delay * (i <= half ? i : i - n) / half;
+
+    this.logReal[i] = magnitude * Math.cos(angle);
+    this.logImag[i] = magnitude * Math.sin(angle);
+  }
+
+  return fft.inverse(this.logReal, this.logImag);
+};
+
+/**
+ * Finds the quefrency of the highest peak of the last cepstrum within a
+ * range, eg. the pitch period between sampleRate / maxFrequency and
+ * sampleRate / minFrequency or the delay of an echo.
+ *
+ * @param {Number} minQuefrency The lowest quefrency in samples
+ * @param {Number} maxQuefrency The highest quefrency in samples (at most bufferSize/2)
+ *
+ * @returns The quefrency in samples
+ */
+Cepstrum.prototype.peak = function(minQuefrency, maxQuefrency) {
+  var cepstrum = this.cepstrum,
+      last     = Math.min(Math.floor(maxQuefrency), this.bufferSize >>> 1),
+      best     = Math.max(1, Math.ceil(minQuefrency));
+
+  for (var i = best + 1; i <= last; i++) {
+    if (cepstrum[i] > cepstrum[best]) {
+      best = i;
+    }
+  }
+
+  return best;
+};
+
+/**
+ * Calculates the spectral envelope of the sample buffer: the spectrum
+ * smoothed by keeping the first order coefficients of its real cepstrum.
+ * The envelope is aligned with and scaled like FourierTransform.spectrum.
+ *
+ * @param {Array}  buffer The sample buffer (windowed if need be)
+ * @param {Number} order  The number of cepstral coefficients kept (eg. 30), fewer is smoother
+ *
+ * @returns The envelope of bufferSize/2 bands (this.envelope)
+ */
+Cepstrum.prototype.spectralEnvelope = function(buffer, order) {
+  var fft      = this.fft,
+      envelope = this.envelope,
+      scale    = 2 / this.bufferSize,
+      smoothed = Cepstrum.lifter(this.real(buffer), order);
+
+  fft.forward(smoothed);
+
+  for (var i = 0; i < envelope.length; i++) {
+    envelope[i] = scale * Math.exp(fft.real[i]);
+  }
+
+  return envelope;
+};
+
+/**
+ * Lifters a real or complex cepstrum of a full buffer (the cepstral
+ * equivalent of filtering), keeping either the low quefrencies 0 to cutoff - 1
+ * (and their mirror image), as for the envelope, or the others.
+ *
+ * @param {Array}   cepstrum The cepstrum
+ * @param {Number}  cutoff   The first quefrency removed (or kept when high is true)
+ * @param {Boolean} high     Keep the high quefrencies instead
+ *
+ * @returns A new Float32Array of the liftered cepstrum
+ */
+Cepstrum.lifter = function(cepstrum, cutoff, high) {
+  var n        = cepstrum.length,
+      liftered = new Float32Array(n),
+      low;
+
+  for (var i = 0; i < n; i++) {
+    low = i < cutoff || n - i < cutoff;
+    liftered[i] = low !== !!high ? cepstrum[i] : 0;
+  }
+
+  return liftered;
+};
+
+/**
+ * Applies the sinusoidal lifter 1 + L/2 sin(PI n / L) to cepstral
+ * coefficients such as MFCCs (as HTK), evening out their ranges.
+ *
+ * @param {Array}  coefficients The cepstral coefficients
+ * @param {Number} L            The lifter parameter (default 22)
+ *
+ * @returns A new Float32Array of the liftered coefficients
+ */
+Cepstrum.sineLifter = function(coefficients, L) {
+  var liftered = new Float32Array(coefficients.length);
+
+  L = L || 22;
+
+  for (var i = 0; i < coefficients.length; i++) {
+    liftered[i] = coefficients[i] * (1 + L / 2 * Math.sin(Math.PI * i / L));
+  }
+
+  return liftered;
+};
+
+/**
+ * LPC is a class for Linear Predictive Coding: modelling each sample of a
+ * signal as a linear combination of the order previous ones,
+ *
+ *   x[n] = -a[1] x[n-1] - ... - a[order] x[n-order] + e[n]
+ *
+ * so that the signal is the residual e filtered by the all-pole filter
+ * 1 / A(z), A(z) = 1 + a[1] z^-1 + ... + a[order] z^-order.
+ *
+ * analyze() finds the coefficients of a frame (windowed by windowType) with
+ * the autocorrelation method and the Levinson-Durbin recursion. residual()
+ * and synthesize() filter streams of blocks through A(z) and 1 / A(z), so
+ * synthesize(residual(x)) gives x back when both use the same coefficients.
+ *
+ * @param {Number} order      The number of predictor coefficients (eg. 12 for speech at 8 kHz)
+ * @param {Number} windowType A window function constant for analyze() (default DSP.HAMMING)
+ *
+ * @constructor
+ */
+function LPC(order, windowType) {
+  this.order      = order;
+  this.windowType = windowType || DSP.HAMMING;
+  this.windowFunction = new WindowFunction(this.windowType);
+
+  // a[0] = 1 to a[order]
+  this.coefficients = new Float32Array(order + 1);
+  this.coefficients[0] = 1;
+
+  this.reflection = new Float32Array(order + 1);
+  this.error      = 0;
+
+  this.reset();
+}
+
+/**
+ * Clears the filter states of residual and synthesize.
+ */
+LPC.prototype.reset = function() {
+  this.inputHistory  = new Float32Array(this.order);
+  this.outputHistory = new Float32Array(this.order);
+};
+
+/**
+ * Calculates the autocorrelation of a buffer.
+ *
+ * @param {Array}  buffer The sample buffer
+ * @param {Number} maxLag The largest lag
+ *
+ * @returns A new Float32Array of the autocorrelation at lags 0 to maxLag
+ */
+LPC.autocorrelation = function(buffer, maxLag) {
+  var r = new Float32Array(maxLag + 1),
+      sum;
+
+  for (var lag = 0; lag <= maxLag; lag++) {
+    sum = 0;
+
+    for (var i = lag; i < buffer.length; i++) {
+      sum += buffer[i] * buffer[i - lag];
+    }
+
+    r[lag] = sum;
+  }
+
+  return r;
+};
+
+/**
+ * Solves the normal equations for the predictor coefficients with the
+ * Levinson-Durbin recursion, leaving the coefficients in this.coefficients,
+ * the reflection (PARCOR) coefficients k[1] to k[order] in this.reflection
+ * and the prediction error power in this.error.
+ *
+ * Stops early (the other coefficients are 0) if the error vanishes, as for
+ * silence or a signal which is exactly predictable.
+ *
+ * @param {Array} r The autocorrelation at lags 0 to order
+ *
+ * @returns The predictor coefficients a[0] = 1 to a[order] (this.coefficients)
+ */
+LPC.prototype.levinson = function(r) {
+  var order  = this.order,
+      a      = this.coefficients,
+      k      = this.reflection,
+      error  = r[0],
+      previous = new Float32Array(order + 1),
+      sum, i, j;
+
+  for (i = 1; i <= order; i++) {
+    a[i] = 0;
+    k[i] = 0;
+  }
+
+  for (i = 1; i <= order && error > 0; i++) {
+    sum = r[i];
+
+    for (j = 1; j < i; j++) {
+      sum += a[j] * r[i - j];
+    }
+
+    k[i] = -sum / error;
+
+    previous.set(a);
+
+    for (j = 1; j < i; j++) {
+      a[j] = previous[j] + k[i] * previous[i - j];
+    }
+
+    a[i] = k[i];
+    error *= 1 - k[i] * k[i];
+  }
+
+  this.error = Math.max(0, error);
+
+  return a;
+};
+
+/**
+ * Calculates the predictor coefficients of a frame.
+ *
+ * @param {Array} buffer A frame of samples, windowed here
+ *
+ * @returns The predictor coefficients a[0] = 1 to a[order] (this.coefficients)
+ */
+LPC.prototype.analyze = function(buffer) {
+  var n        = buffer.length,
+      windowed = new Float32Array(n);
+
+  for (var i = 0; i < n; i++) {
+    windowed[i] = buffer[i] * this.windowFunction.func(n, i, this.windowFunction.alpha);
+  }
+
+  return this.levinson(LPC.autocorrelation(windowed, this.order));
+};
+
+/**
+ * Filters the next block of a stream through A(z), giving the prediction
+ * error (residual).
+ *
+ * @param {Array} buffer       The sample buffer
+ * @param {Array} coefficients The predictor coefficients (default this.coefficients)
+ *
+ * @returns A new Float32Array of the residual
+ */
+LPC.prototype.residual = function(buffer, coefficients) {
+  var order    = this.order,
+      history  = this.inputHistory,
+      residual = new Float32Array(buffer.length),
+      sum, i, j;
+
+  coefficients = coefficients || this.coefficients;
+
+  for (i = 0; i < buffer.length; i++) {
+    sum = buffer[i];
+
+    // history[j - 1] is x[n-j]
+    for (j = 1; j <= order; j++) {
+      sum += coefficients[j] * history[j - 1];
+    }
+
+    for (j = order - 1; j > 0; j--) {
+      history[j] = history[j - 1];
+    }
+
+    if (order > 0) {
+      history[0] = buffer[i];
+    }
+
+    residual[i] = sum;
+  }
+
+  return residual;
+};
+
+/**
+ * Filters the next block of a stream through the all-pole filter 1 / A(z),
+ * eg. a residual or an excitation (pulse train, noise) scaled by
+ * Math.sqrt(this.error / frameSize).
+ *
+ * @param {Array} residual     The excitation buffer
+ * @param {Array} coefficients The predictor coefficients (default this.coefficients)
+ *
+ * @returns A new Float32Array of the synthesized signal
+ */
+LPC.prototype.synthesize = function(residual, coefficients) {
+  var order   = this.order,
+      history = this.outputHistory,
+      output  = new Float32Array(residual.length),
+      sum, i, j;
+
+  coefficients = coefficients || this.coefficients;
+
+  for (i = 0; i < residual.length; i++) {
+    sum = residual[i];
+
+    // history[j - 1] is y[n-j]
+    for (j = 1; j <= order; j++) {
+      sum -= coefficients[j] * history[j - 1];
+    }
+
+    for (j = order - 1; j > 0; j--) {
+      history[j] = history[j - 1];
+    }
+
+    if (order > 0) {
+      history[0] = sum;
+    }
+
+    output[i] = sum;
+  }
+
+  return output;
+};
+
+function Sampler(file, bufferSize, sampleRate, playStart, playEnd, loopStart, loopEnd, loopMode) {
+  this.file = file;
+  this.bufferSize = bufferSize;
+  this.sampleRate = sampleRate;
+  this.playStart  = playStart || 0; // 0%
+  this.playEnd    = playEnd   || 1; // 100%
+  this.loopStart  = loopStart || 0;
+  this.loopEnd    = loopEnd   || 1;
+  this.loopMode   = loopMode  || DSP.OFF;
+  this.loaded     = false;
+  this.samples    = [];
+  this.signal     = new Float32Array(bufferSize);
+  this.frameCount = 0;
+  this.envelope   = null;
+  this.amplitude  = 1;
+  this.rootFrequency = 110; // A2 110
+  this.frequency  = 550;
+  this.step       = this.frequency / this.rootFrequency;
+  this.duration   = 0;
+  this.samplesProcessed = 0;
+  this.playhead   = 0;
+ 
+  var audio = /* new Audio();*/ document.createElement("AUDIO");
+  var self = this;
+ 
+  this.loadSamples = function(event) {
+    var buffer = DSP.getChannel(DSP.MIX, event.frameBuffer);
+    for ( var i = 0; i < buffer.length; i++) {
+      self.samples.push(buffer[i]);
+    }
+  };
+ 
+  this.loadComplete = function() {
+    // convert flexible js array into a fast typed array
+    self.samples = new Float32Array(self.samples);
+    self.loaded = true;
+  };
+ 
+  this.loadMetaData = function() {
+    self.duration = audio.duration;
+  };
+ 
+  audio.addEventListener("MozAudioAvailable", this.loadSamples, false);
+  audio.addEventListener("loadedmetadata", this.loadMetaData, false);
+  audio.addEventListener("ended", this.loadComplete, false);
+  audio.muted = true;
+  audio.src = file;
+  audio.play();
+}
+
+Sampler.prototype.applyEnvelope = function() {
+  this.envelope.process(this.signal);
+  return this.signal;
+};
+
+Sampler.prototype.generate = function() {
+  var frameOffset = this.frameCount * this.bufferSize;
+ 
+  var loopWidth = this.playEnd * this.samples.length - this.playStart * this.samples.length;
+  var playStartSamples = this.playStart * this.samples.length; // ie 0.5 -> 50% of the length
+  var playEndSamples = this.playEnd * this.samples.length; // ie 0.5 -> 50% of the length
+  var offset;
+
+  for ( var i = 0; i < this.bufferSize; i++ ) {
+    switch (this.loopMode) {
+      case DSP.OFF:
+        this.playhead = Math.round(this.samplesProcessed * this.step + playStartSamples);
+        if (this.playhead < (this.playEnd * this.samples.length) ) {
+          this.signal[i] = this.samples[this.playhead] * this.amplitude;
+        } else {
+          this.signal[i] = 0;
+        }
+        break;
+     
+      case DSP.FW:
+        this.playhead = Math.round((this.samplesProcessed * this.step) % loopWidth + playStartSamples);
+        if (this.playhead < (this.playEnd * this.samples.length) ) {
+          this.signal[i] = this.samples[this.playhead] * this.amplitude;
+        }
+        break;
+       
+      case DSP.BW:
+        this.playhead = playEndSamples - Math.round((this.samplesProcessed * this.step) % loopWidth);
+        if (this.playhead < (this.playEnd * this.samples.length) ) {
+          this.signal[i] = this.samples[this.playhead] * this.amplitude;
+        }
+        break;
+       
+      case DSP.FWBW:
+        if ( Math.floor(this.samplesProcessed * this.step / loopWidth) % 2 === 0 ) {
+          this.playhead = Math.round((this.samplesProcessed * this.step) % loopWidth + playStartSamples);
+        } else {
+          this.playhead = playEndSamples - Math.round((this.samplesProcessed * this.step) % loopWidth);
+        }  
+        if (this.playhead < (this.playEnd * this.samples.length) ) {
+          this.signal[i] = this.samples[this.playhead] * this.amplitude;
+        }
+        break;
+    }
+    this.samplesProcessed++;
+  }
+
+  this.frameCount++;
+
+  return this.signal;
+};
+
+Sampler.prototype.setFreq = function(frequency) {
+    var totalProcessed = this.samplesProcessed * this.step;
+    this.frequency = frequency;
+    this.step = this.frequency / this.rootFrequency;
+    this.samplesProcessed = Math.round(totalProcessed/this.step);
+};
+
+Sampler.prototype.reset = function() {
+  this.samplesProcessed = 0;
+  this.playhead = 0;
+};
+
+/**
+ * Oscillator class for generating and modifying signals
+ *
+ * @param {Number} type       A waveform constant (eg. DSP.SINE)
+ * @param {Number} frequency  Initial frequency of the signal
+ * @param {Number} amplitude  Initial amplitude of the signal
+ * @param {Number} bufferSize Size of the sample buffer to generate
+ * @param {Number} sampleRate The sample rate of the signal
+ *
+ * @contructor
+ */
+function Oscillator(type, frequency, amplitude, bufferSize, sampleRate) {
+  this.frequency  = frequency;
+  this.amplitude  = amplitude;
+  this.bufferSize = bufferSize;
+  this.sampleRate = sampleRate;
+  //this.pulseWidth = pulseWidth;
+  this.frameCount = 0;
+ 
+  this.waveTableLength = 2048;
+
+  this.cyclesPerSample = frequency / sampleRate;
+
+  this.signal = new Float32Array(bufferSize);
+  this.envelope = null;
+
+  switch(parseInt(type, 10)) {
+    case DSP.TRIANGLE:
+      this.func = Oscillator.Triangle;
+      break;
+
+    case DSP.SAW:
+      this.func = Oscillator.Saw;
+      break;
+
+    case DSP.SQUARE:
+      this.func = Oscillator.Square;
+      break;
+
+    default:
+    case DSP.SINE:
+      this.func = Oscillator.Sine;
+      break;
+  }
+
+  this.generateWaveTable = function() {
+    Oscillator.waveTable[this.func] = new Float32Array(2048);
+    var waveTableTime = this.waveTableLength / this.sampleRate;
+    var waveTableHz = 1 / waveTableTime;
+
+    for (var i = 0; i < this.waveTableLength; i++) {
+      Oscillator.waveTable[this.func][i] = this.func(i * waveTableHz/this.sampleRate);
+    }
+  };
+
+  if ( typeof Oscillator.waveTable === 'undefined' ) {
+    Oscillator.waveTable = {};
+  }
+
+  if ( typeof Oscillator.waveTable[this.func] === 'undefined' ) {
+    this.generateWaveTable();
+  }
+ 
+  this.waveTable = Oscillator.waveTable[this.func];
+}
+
+/**
+ * Set the amplitude of the signal
+ *
+ * @param {Number} amplitude The amplitude of the signal (between 0 and 1)
+ */
+Oscillator.prototype.setAmp = function(amplitude) {
+  if (amplitude >= 0 && amplitude <= 1) {
+    this.amplitude = amplitude;
+  } else {
+    throw "Amplitude out of range (0..1).";
+  }
+};
+  
+/**
+ * Set the frequency of the signal
+ *
+ * @param {Number} frequency The frequency of the signal
+ */  
+Oscillator.prototype.setFreq = function(frequency) {
+  this.frequency = frequency;
+  this.cyclesPerSample = frequency / this.sampleRate;
+};
+     
+// Add an oscillator
+Oscillator.prototype.add = function(oscillator) {
+  for ( var i = 0; i < this.bufferSize; i++ ) {
+    //this.signal[i] += oscillator.valueAt(i);
+    this.signal[i] += oscillator.signal[i];
+  }
+ 
+  return this.signal;
+};
+     
+// Add a signal to the current generated osc signal
+Oscillator.prototype.addSignal = function(signal) {
+  for ( var i = 0; i < signal.length; i++ ) {
+    if ( i >= this.bufferSize ) {
+      break;
+    }
+    this.signal[i] += signal[i];
+   
+    /*
+    // Constrain amplitude
+    if ( this.signal[i] > 1 ) {
+      this.signal[i] = 1;
+    } else if ( this.signal[i] < -1 ) {
+      this.signal[i] = -1;
+    }
+    */
+  }
+  return this.signal;
+};
+     
+// Add an envelope to the oscillator
+Oscillator.prototype.addEnvelope = function(envelope) {
+  this.envelope = envelope;
+};
+
+Oscillator.prototype.applyEnvelope = function() {
+  this.envelope.process(this.signal);
+};
+     
+Oscillator.prototype.valueAt = function(offset) {
+  return this.waveTable[offset % this.waveTableLength];
+};
+     
+Oscillator.prototype.generate = function() {
+  var frameOffset = this.frameCount * this.bufferSize;
+  var step = this.waveTableLength * this.frequency / this.sampleRate;
+  var offset;
+
+  for ( var i = 0; i < this.bufferSize; i++ ) {
+    //var step = (frameOffset + i) * this.cyclesPerSample % 1;
+    //this.signal[i] = this.func(step) * this.amplitude;
+    //this.signal[i] = this.valueAt(Math.round((frameOffset + i) * step)) * this.amplitude;
+    offset = Math.round((frameOffset + i) * step);
+    this.signal[i] = this.waveTable[offset % this.waveTableLength] * this.amplitude;
+  }
+
+  this.frameCount++;
+
+  return this.signal;
+};
+
+Oscillator.Sine = function(step) {
+  return Math.sin(DSP.TWO_PI * step);
+};
+
+Oscillator.Square = function(step) {
+  return step < 0.5 ? 1 : -1;
+};
+
+Oscillator.Saw = function(step) {
+  return 2 * (step - Math.round(step));
+};
+
+Oscillator.Triangle = function(step) {
+  return 1 - 4 * Math.abs(Math.round(step) - step);
+};
+
+Oscillator.Pulse = function(step) {
+  // stub
+};
+ 
+function ADSR(attackLength, decayLength, sustainLevel, sustainLength, releaseLength, sampleRate) {
+  this.sampleRate = sampleRate;
+  // Length in seconds
+  this.attackLength  = attackLength;
+  this.decayLength   = decayLength;
+  this.sustainLevel  = sustainLevel;
+  this.sustainLength = sustainLength;
+  this.releaseLength = releaseLength;
+  this.sampleRate    = sampleRate;
+ 
+  // Length in samples
+  this.attackSamples  = attackLength  * sampleRate;
+  this.decaySamples   = decayLength   * sampleRate;
+  this.sustainSamples = sustainLength * sampleRate;
+  this.releaseSamples = releaseLength * sampleRate;
+ 
+  // Updates the envelope sample positions
+  this.update = function() {
+    this.attack         =                this.attackSamples;
+    this.decay          = this.attack  + this.decaySamples;
+    this.sustain        = this.decay   + this.sustainSamples;
+    this.release        = this.sustain + this.releaseSamples;
+  };
+ 
+  this.update();
+ 
+  this.samplesProcessed = 0;
+}
+
+ADSR.prototype.noteOn = function() {
+  this.samplesProcessed = 0;
+  this.sustainSamples = this.sustainLength * this.sampleRate;
+  this.update();
+};
+
+// Send a note off when using a sustain of infinity to let the envelope enter the release phase
+ADSR.prototype.noteOff = function() {
+  this.sustainSamples = this.samplesProcessed - this.decaySamples;
+  this.update();
+};
+
+ADSR.prototype.processSample = function(sample) {
+  var amplitude = 0;
+
+  if ( this.samplesProcessed <= this.attack ) {
+    amplitude = 0 + (1 - 0) * ((this.samplesProcessed - 0) / (this.attack - 0));
+  } else if ( this.samplesProcessed > this.attack && this.samplesProcessed <= this.decay ) {
+    amplitude = 1 + (this.sustainLevel - 1) * ((this.samplesProcessed - this.attack) / (this.decay - this.attack));
+  } else if ( this.samplesProcessed > this.decay && this.samplesProcessed <= this.sustain ) {
+    amplitude = this.sustainLevel;
+  } else if ( this.samplesProcessed > this.sustain && this.samplesProcessed <= this.release ) {
+    amplitude = this.sustainLevel + (0 - this.sustainLevel) * ((this.samplesProcessed - this.sustain) / (this.release - this.sustain));
+  }
+ 
+  return sample * amplitude;
+};
+
+ADSR.prototype.value = function() {
+  var amplitude = 0;
+
+  if ( this.samplesProcessed <= this.attack ) {
+    amplitude = 0 + (1 - 0) * ((this.samplesProcessed - 0) / (this.attack - 0));
+  } else if ( this.samplesProcessed > this.attack && this.samplesProcessed <= this.decay ) {
+    amplitude = 1 + (this.sustainLevel - 1) * ((this.samplesProcessed - this.attack) / (this.decay - this.attack));
+  } else if ( this.samplesProcessed > this.decay && this.samplesProcessed <= this.sustain ) {
+    amplitude = this.sustainLevel;
+  } else if ( this.samplesProcessed > this.sustain && this.samplesProcessed <= this.release ) {
+    amplitude = this.sustainLevel + (0 - this.sustainLevel) * ((this.samplesProcessed - this.sustain) / (this.release - this.sustain));
+  }
+ 
+  return amplitude;
+};
+     
+ADSR.prototype.process = function(buffer) {
+  for ( var i = 0; i < buffer.length; i++ ) {
+    buffer[i] *= this.value();
+
+    this.samplesProcessed++;
+  }
+ 
+  return buffer;
+};
+     
+     
+ADSR.prototype.isActive = function() {
+  if ( this.samplesProcessed > this.release || this.samplesProcessed === -1 ) {
+    return false;
+  } else {
+    return true;
+  }
+};
+
+ADSR.prototype.disable = function() {
+  this.samplesProcessed = -1;
+};
+ 
+function IIRFilter(type, cutoff, resonance, sampleRate) {
+  this.sampleRate = sampleRate;
+
+  switch(type) {
+    case DSP.LOWPASS:
+    case DSP.LP12:
+      this.func = new IIRFilter.LP12(cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.HIGHPASS:
+    case DSP.HP12:
+      this.func = new IIRFilter.Resonant(DSP.HIGHPASS, 1, cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.BANDPASS:
+    case DSP.BP12:
+      this.func = new IIRFilter.Resonant(DSP.BANDPASS, 1, cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.NOTCH:
+    case DSP.NOTCH12:
+      this.func = new IIRFilter.Resonant(DSP.NOTCH, 1, cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.LP24:
+      this.func = new IIRFilter.Resonant(DSP.LOWPASS, 2, cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.HP24:
+      this.func = new IIRFilter.Resonant(DSP.HIGHPASS, 2, cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.BP24:
+      this.func = new IIRFilter.Resonant(DSP.BANDPASS, 2, cutoff, resonance, sampleRate);
+      break;
+
+    case DSP.NOTCH24:
+      this.func = new IIRFilter.Resonant(DSP.NOTCH, 2, cutoff, resonance, sampleRate);
+      break;
+
+    default:
+      throw "Invalid filter type.";
+  }
+}
+
+IIRFilter.prototype.__defineGetter__('cutoff',
+  function() {
+    return this.func.cutoff;
+  }
+);
+
+IIRFilter.prototype.__defineGetter__('resonance',
+  function() {
+    return this.func.resonance;
+  }
+);
+
+IIRFilter.prototype.set = function(cutoff, resonance) {
+  this.func.calcCoeff(cutoff, resonance);
+};
+
+IIRFilter.prototype.process = function(buffer) {
+  this.func.process(buffer);
+};
+
+// Add an envelope to the filter
+IIRFilter.prototype.addEnvelope = function(envelope) {
+  if ( envelope instanceof ADSR ) {
+    this.func.addEnvelope(envelope);
+  } else {
+    throw "Not an envelope.";
+  }
+};
+
+IIRFilter.LP12 = function(cutoff, resonance, sampleRate) {
+  this.sampleRate = sampleRate;
+  this.vibraPos   = 0;
+  this.vibraSpeed = 0;
+  this.envelope = false;
+ 
   this.calcCoeff = function(cutoff, resonance) {
     this.w = 2.0 * Math.PI * cutoff / this.sampleRate;
     this.q = 1.0 - this.w / (2.0 * (resonance + 0.5 / (1.0 + this.w)) + this.w - 2.0);
@@ -1268,102 +4777,1464 @@ IIRFilter.LP12 = function(cutoff, resonance, sampleRate) {
     this.resonance = resonance;
   };
 
-  this.calcCoeff(cutoff, resonance);
+  this.calcCoeff(cutoff, resonance);
+
+  this.process = function(buffer) {
+    for ( var i = 0; i < buffer.length; i++ ) {
+      this.vibraSpeed += (buffer[i] - this.vibraPos) * this.c;
+      this.vibraPos   += this.vibraSpeed;
+      this.vibraSpeed *= this.r;
+   
+      /*
+      var temp = this.vibraPos;
+     
+      if ( temp > 1.0 ) {
+        temp = 1.0;
+      } else if ( temp < -1.0 ) {
+        temp = -1.0;
+      } else if ( temp != temp ) {
+        temp = 1;
+      }
+     
+      buffer[i] = temp;
+      */
+
+      if (this.envelope) {
+        buffer[i] = (buffer[i] * (1 - this.envelope.value())) + (this.vibraPos * this.envelope.value());
+        this.envelope.samplesProcessed++;
+      } else {
+        buffer[i] = this.vibraPos;
+      }
+    }
+  };
+}; 
+
+IIRFilter.LP12.prototype.addEnvelope = function(envelope) {
+  this.envelope = envelope;
+};
+
+// The poles of LP12 (q e^(+-jw)) with other zeros: a highpass with unit gain
+// at Nyquist, a bandpass with unit gain at the cutoff (resonance narrows
+// the band) and a notch with the gains at DC and Nyquist balanced around
+// unity (resonance narrows the notch). Stages of 2 give 24 dB/oct.
+IIRFilter.Resonant = function(type, stages, cutoff, resonance, sampleRate) {
+  this.type       = type;
+  this.stages     = stages;
+  this.sampleRate = sampleRate;
+  this.envelope   = false;
+
+  // x[n-1], x[n-2], y[n-1], y[n-2] of each stage
+  this.state = [];
+
+  for (var i = 0; i < 4 * stages; i++) {
+    this.state[i] = 0;
+  }
+
+  this.calcCoeff = function(cutoff, resonance) {
+    var w = 2.0 * Math.PI * cutoff / this.sampleRate,
+        q = 1.0 - w / (2.0 * (resonance + 0.5 / (1.0 + w)) + w - 2.0),
+        cos = Math.cos(w),
+        gain;
+
+    this.a1 = -2.0 * q * cos;
+    this.a2 = q * q;
+
+    switch (this.type) {
+      case DSP.LOWPASS:
+        this.b0 = 1.0 + this.a1 + this.a2;
+        this.b1 = 0;
+        this.b2 = 0;
+        break;
+
+      case DSP.HIGHPASS:
+        gain = (1.0 - this.a1 + this.a2) / 4.0;
+        this.b0 = gain;
+        this.b1 = -2.0 * gain;
+        this.b2 = gain;
+        break;
+
+      case DSP.BANDPASS:
+        // |1 - q e^(-2jw)| (1 - q) / |1 - e^(-2jw)|
+        gain = (1.0 - q) * Math.sqrt(1.0 - 2.0 * q * Math.cos(2.0 * w) + q * q) / (2.0 * Math.sin(w));
+        this.b0 = gain;
+        this.b1 = 0;
+        this.b2 = -gain;
+        break;
+
+      case DSP.NOTCH:
+        gain = Math.sqrt((1.0 + this.a1 + this.a2) * (1.0 - this.a1 + this.a2)) / (2.0 * Math.sin(w));
+        this.b0 = gain;
+        this.b1 = -2.0 * cos * gain;
+        this.b2 = gain;
+        break;
+    }
+
+    this.cutoff = cutoff;
+    this.resonance = resonance;
+  };
+
+  this.calcCoeff(cutoff, resonance);
+
+  this.process = function(buffer) {
+    var state = this.state,
+        x, y, s;
+
+    for (var i = 0; i < buffer.length; i++) {
+      x = buffer[i];
+
+      for (s = 0; s < 4 * this.stages; s += 4) {
+        y = this.b0 * x + this.b1 * state[s] + this.b2 * state[s + 1] - this.a1 * state[s + 2] - this.a2 * state[s + 3];
+
+        state[s + 1] = state[s];
+        state[s]     = x;
+        state[s + 3] = state[s + 2];
+        state[s + 2] = y;
+
+        x = y;
+      }
+
+      if (this.envelope) {
+        buffer[i] = (buffer[i] * (1 - this.envelope.value())) + (y * this.envelope.value());
+        this.envelope.samplesProcessed++;
+      } else {
+        buffer[i] = y;
+      }
+    }
+  };
+};
+
+IIRFilter.Resonant.prototype.addEnvelope = function(envelope) {
+  this.envelope = envelope;
+};
+
+function IIRFilter2(type, cutoff, resonance, sampleRate) {
+  this.type = type;
+  this.cutoff = cutoff;
+  this.resonance = resonance;
+  this.sampleRate = sampleRate;
+
+  this.f = Float32Array(4);
+  this.f[0] = 0.0; // lp
+  this.f[1] = 0.0; // hp
+  this.f[2] = 0.0; // bp
+  this.f[3] = 0.0; // br 
+ 
+  this.calcCoeff = function(cutoff, resonance) {
+    this.freq = 2 * Math.sin(Math.PI * Math.min(0.25, cutoff/(this.sampleRate*2)));  
+    this.damp = Math.min(2 * (1 - Math.pow(resonance, 0.25)), Math.min(2, 2/this.freq - this.freq * 0.5));
+  };
+
+  this.calcCoeff(cutoff, resonance);
+}
+
+IIRFilter2.prototype.process = function(buffer) {
+  var input, output;
+  var f = this.f;
+
+  for ( var i = 0; i < buffer.length; i++ ) {
+    input = buffer[i];
+
+    // first pass
+    f[3] = input - this.damp * f[2];
+    f[0] = f[0] + this.freq * f[2];
+    f[1] = f[3] - f[0];
+    f[2] = this.freq * f[1] + f[2];
+    output = 0.5 * f[this.type];
+
+    // second pass
+    f[3] = input - this.damp * f[2];
+    f[0] = f[0] + this.freq * f[2];
+    f[1] = f[3] - f[0];
+    f[2] = this.freq * f[1] + f[2];
+    output += 0.5 * f[this.type];
+
+    if (this.envelope) {
+      buffer[i] = (buffer[i] * (1 - this.envelope.value())) + (output * this.envelope.value());
+      this.envelope.samplesProcessed++;
+    } else {
+      buffer[i] = output;
+    }
+  }
+};
+
+IIRFilter2.prototype.addEnvelope = function(envelope) {
+  if ( envelope instanceof ADSR ) {
+    this.envelope = envelope;
+  } else {
+    throw "This is not an envelope.";
+  }
+};
+
+IIRFilter2.prototype.set = function(cutoff, resonance) {
+  this.calcCoeff(cutoff, resonance);
+};
+
+/**
+ * LadderFilter is a four pole lowpass modelled on the Moog transistor
+ * ladder (A. Huovilainen, Non-linear digital implementation of the Moog
+ * ladder filter, DAFx 2004): four one pole stages with a tanh saturation
+ * each, and a feedback from the last stage which self-oscillates when the
+ * resonance reaches 1.
+ *
+ * It runs at 2 or 4 times the sampleRate to keep the saturation from
+ * aliasing, which delays the output by this.delay samples. As in the
+ * circuit the passband gets quieter when the resonance rises. this.drive
+ * scales the input into the saturation (default 1).
+ *
+ * @param {Number} cutoff       The cutoff frequency in Hz
+ * @param {Number} resonance    The resonance, from 0 to 1 (self-oscillation) and a bit above
+ * @param {Number} sampleRate   The sampleRate of the signal (eg. 44100)
+ * @param {Number} slope        The output tap in dB/oct: 6, 12, 18 or 24 (default 24)
+ * @param {Number} oversampling 1, 2 or 4 (default 2)
+ *
+ * @constructor
+ */
+function LadderFilter(cutoff, resonance, sampleRate, slope, oversampling) {
+  this.sampleRate   = sampleRate;
+  this.slope        = slope || 24;
+  this.oversampling = oversampling || 2;
+  this.drive        = 1;
+  this.envelope     = false;
+
+  if (this.slope !== 6 && this.slope !== 12 && this.slope !== 18 && this.slope !== 24) {
+    throw "Invalid slope, use 6, 12, 18 or 24.";
+  }
+
+  if (this.oversampling !== 1 && this.oversampling !== 2 && this.oversampling !== 4) {
+    throw "Invalid oversampling, use 1, 2 or 4.";
+  }
+
+  // Interpolation and decimation lowpass at the original Nyquist
+  if (this.oversampling > 1) {
+    this.interpolator = FIRFilter.design(DSP.LOWPASS, 16 * this.oversampling + 1, 0.45 * sampleRate, 0,
+                                         this.oversampling * sampleRate, DSP.KAISER, 8);
+  }
+
+  this.delay = this.oversampling > 1 ? 16 : 0;
+
+  this.set(cutoff, resonance);
+  this.reset();
+}
+
+/**
+ * Sets the cutoff and resonance.
+ *
+ * @param {Number} cutoff    The cutoff frequency in Hz
+ * @param {Number} resonance The resonance, from 0 to 1 (self-oscillation) and a bit above
+ */
+LadderFilter.prototype.set = function(cutoff, resonance) {
+  this.cutoff    = cutoff;
+  this.resonance = resonance;
+};
+
+/**
+ * Clears the stages and the resampling filters.
+ */
+LadderFilter.prototype.reset = function() {
+  this.stage = [0, 0, 0, 0];
+
+  // tanh of each stage
+  this.saturated = [0, 0, 0, 0];
+
+  if (this.oversampling > 1) {
+    this.upsampler   = new FIRFilter(this.interpolator);
+    this.downsampler = new FIRFilter(this.interpolator);
+  }
+};
+
+/**
+ * Modulates the cutoff with an envelope: the cutoff rises by octaves times
+ * the value of the envelope, which advances by one sample per sample.
+ *
+ * @param {ADSR}   envelope The envelope
+ * @param {Number} octaves  The cutoff change at the top of the envelope (default 4)
+ */
+LadderFilter.prototype.addEnvelope = function(envelope, octaves) {
+  if ( envelope instanceof ADSR ) {
+    this.envelope = envelope;
+    this.envelopeOctaves = typeof octaves === "undefined" ? 4 : octaves;
+  } else {
+    throw "Not an envelope.";
+  }
+};
+
+/**
+ * Calculates the feedback gain where the loop of four stages, each
+ * g / (1 - (1 - g) z^-1), and the one sample delay of the feedback starts
+ * to oscillate: 4 for a small g, less at high cutoffs.
+ *
+ * @param {Number} g The coefficient of the stages
+ *
+ * @returns The feedback gain of a resonance of 1
+ */
+LadderFilter.criticalFeedback = function(g) {
+  var pole = 1 - g,
+      low  = 0,
+      high = Math.PI,
+      w;
+
+  // The frequency where the loop turns the phase by PI
+  for (var i = 0; i < 30; i++) {
+    w = (low + high) / 2;
+
+    if (4 * Math.atan2(pole * Math.sin(w), 1 - pole * Math.cos(w)) + w < Math.PI) {
+      low = w;
+    } else {
+      high = w;
+    }
+  }
+
+  return Math.pow((1 - 2 * pole * Math.cos(w) + pole * pole) / (g * g), 2);
+};
+
+/**
+ * LadderFilter.criticalFeedback() interpolated from a table over g, fast
+ * enough to follow a cutoff modulated every sample.
+ *
+ * @param {Number} g The coefficient of the stages, from 0 to 1
+ *
+ * @returns The feedback gain of a resonance of 1
+ */
+LadderFilter.feedbackGain = function(g) {
+  var table = LadderFilter.feedbackTable,
+      size = 256,
+      position, index;
+
+  if (!table) {
+    table = LadderFilter.feedbackTable = new Float32Array(size + 2);
+
+    // Tends to 4 when g does
+    table[0] = 4;
+
+    for (index = 1; index <= size + 1; index++) {
+      table[index] = LadderFilter.criticalFeedback(Math.min(1, index / size));
+    }
+  }
+
+  position = Math.min(Math.max(g, 0), 1) * size;
+  index = Math.floor(position);
+
+  return table[index] + (table[index + 1] - table[index]) * (position - index);
+};
+
+/**
+ * Filters the next block of the stream in place.
+ *
+ * @param {Array} buffer     A block of samples
+ * @param {Array} modulation The cutoff change in octaves for each sample, eg. from an LFO (optional)
+ *
+ * @returns The buffer
+ */
+LadderFilter.prototype.process = function(buffer, modulation) {
+  var oversampling = this.oversampling,
+      rate         = oversampling * this.sampleRate,
+      resonance    = this.resonance,
+      drive        = this.drive,
+      tap          = this.slope / 6 - 1,
+      stage        = this.stage,
+      saturated    = this.saturated,
+      input        = buffer,
+      output, octaves, previous, cutoff, g, feedback, x, i, j;
+
+  // Zero stuffed, times oversampling to keep the gain
+  if (oversampling > 1) {
+    input = new Float32Array(buffer.length * oversampling);
+
+    for (i = 0; i < buffer.length; i++) {
+      input[i * oversampling] = oversampling * buffer[i];
+    }
+
+    input = this.upsampler.process(input);
+  }
+
+  output = new Float32Array(input.length);
+
+  for (i = 0; i < buffer.length; i++) {
+    octaves = modulation ? modulation[i] : 0;
+
+    if (this.envelope) {
+      octaves += this.envelopeOctaves * this.envelope.value();
+      this.envelope.samplesProcessed++;
+    }
+
+    // Only when the modulation changes, back to this.cutoff at 0 too
+    if (i === 0 || octaves !== previous) {
+      cutoff = Math.min(this.cutoff * Math.pow(2, octaves), 0.45 * this.sampleRate);
+      g = 1 - Math.exp(-DSP.TWO_PI * cutoff / rate);
+      feedback = resonance * LadderFilter.feedbackGain(g);
+      previous = octaves;
+    }
+
+    for (j = i * oversampling; j < (i + 1) * oversampling; j++) {
+      x = tanh(drive * input[j] - feedback * stage[3]);
+
+      // Each stage follows the new output of the one before it
+      stage[0] += g * (x - saturated[0]);
+      saturated[0] = tanh(stage[0]);
+      stage[1] += g * (saturated[0] - saturated[1]);
+      saturated[1] = tanh(stage[1]);
+      stage[2] += g * (saturated[1] - saturated[2]);
+      saturated[2] = tanh(stage[2]);
+      stage[3] += g * (saturated[2] - saturated[3]);
+      saturated[3] = tanh(stage[3]);
+
+      output[j] = stage[tap];
+    }
+  }
+
+  if (oversampling > 1) {
+    output = this.downsampler.process(output);
+  }
+
+  for (i = 0; i < buffer.length; i++) {
+    buffer[i] = output[i * oversampling];
+  }
+
+  return buffer;
+};
+
+/**
+ * FIRFilter is a class for filtering mono or interleaved streams through a
+ * Finite Impulse Response filter. The history of every channel is kept
+ * between calls to process().
+ *
+ * FIRFilter.design() and FIRFilter.kaiserDesign() calculate linear phase
+ * coefficients, which delay every frequency by (length - 1) / 2 samples
+ * (this.delay).
+ *
+ * @param {Array}  coefficients The impulse response of the filter
+ * @param {Number} channels     The number of interleaved channels (default 1)
+ *
+ * @constructor
+ */
+function FIRFilter(coefficients, channels) {
+  this.channels = channels || 1;
+
+  this.setCoefficients(coefficients);
+}
+
+/**
+ * Sets the impulse response. The history is cleared when the length changes.
+ *
+ * @param {Array} coefficients The impulse response of the filter
+ */
+FIRFilter.prototype.setCoefficients = function(coefficients) {
+  var resize = !this.coefficients || this.coefficients.length !== coefficients.length;
+
+  this.coefficients = new Float32Array(coefficients);
+  this.length = coefficients.length;
+  this.delay  = (this.length - 1) / 2;
+
+  if (resize) {
+    this.reset();
+  }
+};
+
+/**
+ * Clears the history of every channel.
+ */
+FIRFilter.prototype.reset = function() {
+  this.history = [];
+
+  for (var c = 0; c < this.channels; c++) {
+    // Written twice so that it can be read without wrapping
+    this.history[c] = new Float32Array(2 * this.length);
+  }
+
+  this.index = 0;
+};
+
+/**
+ * Filters the next block of the stream.
+ *
+ * @param {Array} samples A block of samples, interleaved when there are several channels
+ *
+ * @returns A new Float32Array of the filtered block
+ */
+FIRFilter.prototype.process = function(samples) {
+  var channels     = this.channels,
+      length       = this.length,
+      coefficients = this.coefficients,
+      frames       = Math.floor(samples.length / channels),
+      output       = new Float32Array(samples.length),
+      index        = this.index,
+      history, sum, c, i, j;
+
+  for (i = 0; i < frames; i++) {
+    for (c = 0; c < channels; c++) {
+      history = this.history[c];
+      history[index] = history[index + length] = samples[i * channels + c];
+
+      // history[index + length - j] is the input delayed by j samples
+      sum = 0;
+
+      for (j = 0; j < length; j++) {
+        sum += coefficients[j] * history[index + length - j];
+      }
+
+      output[i * channels + c] = sum;
+    }
+
+    index = (index + 1) % length;
+  }
+
+  this.index = index;
+
+  return output;
+};
+
+/**
+ * Designs a linear phase filter with the windowed sinc method: the ideal
+ * impulse response of the filter, cut to length samples around its center
+ * and multiplied by a window. The gain is normalized to 1 at DC (lowpass,
+ * bandstop), Nyquist (highpass) or the center of the band (bandpass).
+ *
+ * Highpass and bandstop filters need an odd length.
+ *
+ * @param {Number} type       DSP.LOWPASS, DSP.HIGHPASS, DSP.BANDPASS or DSP.BANDSTOP
+ * @param {Number} length     The number of coefficients
+ * @param {Number} cutoff     The cutoff frequency in Hz (the lower edge of the band)
+ * @param {Number} cutoff2    The upper edge of the band in Hz for DSP.BANDPASS and DSP.BANDSTOP
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ * @param {Number} windowType A window function constant (default DSP.HAMMING)
+ * @param {Number} alpha      The alpha value passed to the window function (optional)
+ *
+ * @returns A new Float32Array of coefficients
+ */
+FIRFilter.design = function(type, length, cutoff, cutoff2, sampleRate, windowType, alpha) {
+  var coefficients   = new Float32Array(length),
+      windowFunction = new WindowFunction(windowType || DSP.HAMMING, alpha),
+      center         = (length - 1) / 2,
+      low            = cutoff / sampleRate,
+      high           = cutoff2 / sampleRate,
+      reference, real, imag, gain, t, i;
+
+  // Lowpass with a normalized cutoff frequency (cycles per sample)
+  var lowpass = function(f, t) {
+    return t === 0 ? 2 * f : Math.sin(DSP.TWO_PI * f * t) / (Math.PI * t);
+  };
+
+  if ((type === DSP.HIGHPASS || type === DSP.BANDSTOP) && length % 2 === 0) {
+    throw "Invalid filter length, highpass and bandstop filters must have an odd length.";
+  }
+
+  if ((type === DSP.BANDPASS || type === DSP.BANDSTOP) && !(high > low)) {
+    throw "Invalid band, cutoff2 must be above cutoff.";
+  }
+
+  for (i = 0; i < length; i++) {
+    t = i - center;
+
+    switch (type) {
+      case DSP.LOWPASS:
+        coefficients[i] = lowpass(low, t);
+        reference = 0;
+        break;
+
+      case DSP.HIGHPASS:
+        coefficients[i] = (t === 0 ? 1 : 0) - lowpass(low, t);
+        reference = 0.5;
+        break;
+
+      case DSP.BANDPASS:
+        coefficients[i] = lowpass(high, t) - lowpass(low, t);
+        reference = (low + high) / 2;
+        break;
+
+      case DSP.BANDSTOP:
+        coefficients[i] = (t === 0 ? 1 : 0) - lowpass(high, t) + lowpass(low, t);
+        reference = 0;
+        break;
+
+      default:
+        throw "Invalid filter type.";
+    }
+
+    coefficients[i] *= windowFunction.func(length, i, windowFunction.alpha);
+  }
+
+  // Normalize the gain at the reference frequency
+  real = 0;
+  imag = 0;
+
+  for (i = 0; i < length; i++) {
+    real += coefficients[i] * Math.cos(DSP.TWO_PI * reference * i);
+    imag -= coefficients[i] * Math.sin(DSP.TWO_PI * reference * i);
+  }
+
+  gain = Math.sqrt(real * real + imag * imag);
+
+  for (i = 0; i < length && gain > 0; i++) {
+    coefficients[i] /= gain;
+  }
+
+  return coefficients;
+};
+
+/**
+ * Estimates the Kaiser window parameter and filter length meeting a
+ * specification (Kaiser's formulas), for use with FIRFilter.design and
+ * DSP.KAISER.
+ *
+ * @param {Number} ripple           The largest deviation of the gain from 1 in the
+ *                                  passband and from 0 in the stopband (eg. 0.001)
+ * @param {Number} transitionWidth  The width of the transition bands in Hz
+ * @param {Number} sampleRate       The sampleRate of the signal (eg. 44100)
+ *
+ * @returns An object with length (odd) and beta
+ */
+FIRFilter.kaiserParameters = function(ripple, transitionWidth, sampleRate) {
+  var attenuation = -20 * Math.log(ripple) / Math.LN10,
+      width       = DSP.TWO_PI * transitionWidth / sampleRate,
+      beta, length;
+
+  if (attenuation > 50) {
+    beta = 0.1102 * (attenuation - 8.7);
+  } else if (attenuation >= 21) {
+    beta = 0.5842 * Math.pow(attenuation - 21, 0.4) + 0.07886 * (attenuation - 21);
+  } else {
+    beta = 0;
+  }
+
+  length = Math.ceil((attenuation - 8) / (2.285 * width)) + 1;
+
+  // Odd, so that every filter type can be designed
+  if (length % 2 === 0) {
+    length++;
+  }
+
+  return { length: length, beta: beta };
+};
+
+/**
+ * Designs a windowed sinc filter with a Kaiser window meeting a ripple and
+ * transition width specification. The cutoff frequencies are the middle of
+ * the transition bands.
+ *
+ * @param {Number} type            DSP.LOWPASS, DSP.HIGHPASS, DSP.BANDPASS or DSP.BANDSTOP
+ * @param {Number} cutoff          The cutoff frequency in Hz (the lower edge of the band)
+ * @param {Number} cutoff2         The upper edge of the band in Hz for DSP.BANDPASS and DSP.BANDSTOP
+ * @param {Number} ripple          The largest deviation of the gain (eg. 0.001 for 60 dB)
+ * @param {Number} transitionWidth The width of the transition bands in Hz
+ * @param {Number} sampleRate      The sampleRate of the signal (eg. 44100)
+ *
+ * @returns A new Float32Array of coefficients
+ */
+FIRFilter.kaiserDesign = function(type, cutoff, cutoff2, ripple, transitionWidth, sampleRate) {
+  var parameters = FIRFilter.kaiserParameters(ripple, transitionWidth, sampleRate);
+
+  return FIRFilter.design(type, parameters.length, cutoff, cutoff2, sampleRate, DSP.KAISER, parameters.beta);
+};
+
+/**
+ * Cascade of second order sections (biquads), the stable way to run high
+ * order IIR filters. Each section keeps the direct form I state of a Biquad
+ * (x[n-1], x[n-2], y[n-1], y[n-2]) for each channel.
+ *
+ * BiquadCascade.design() calculates the sections of Butterworth, Chebyshev
+ * and elliptic filters.
+ *
+ * @param {Array}  sections The sections, each like Biquad.coefficients(): {b: [b0, b1, b2], a: [a0, a1, a2]}
+ * @param {Number} channels The number of interleaved channels (default 1)
+ *
+ * @constructor
+ */
+function BiquadCascade(sections, channels) {
+  this.channels = channels || 1;
+
+  this.setSections(sections);
+}
+
+/**
+ * Sets the sections, normalized so that a0 is 1. The state is cleared when
+ * the number of sections changes.
+ *
+ * @param {Array} sections The sections, each like Biquad.coefficients()
+ */
+BiquadCascade.prototype.setSections = function(sections) {
+  var resize = !this.sections || this.sections.length !== sections.length,
+      a0;
+
+  this.sections = [];
+
+  for (var s = 0; s < sections.length; s++) {
+    a0 = sections[s].a[0];
+
+    this.sections[s] = {
+      b: [sections[s].b[0] / a0, (sections[s].b[1] || 0) / a0, (sections[s].b[2] || 0) / a0],
+      a: [1, (sections[s].a[1] || 0) / a0, (sections[s].a[2] || 0) / a0]
+    };
+  }
+
+  if (resize) {
+    this.reset();
+  }
+};
+
+/**
+ * Clears the state of every section and channel.
+ */
+BiquadCascade.prototype.reset = function() {
+  this.state = [];
+
+  for (var c = 0; c < this.channels; c++) {
+    // x[n-1], x[n-2], y[n-1], y[n-2] of each section, in doubles
+    this.state[c] = [];
+
+    for (var i = 0; i < 4 * this.sections.length; i++) {
+      this.state[c][i] = 0;
+    }
+  }
+};
+
+/**
+ * Filters the next block of the stream.
+ *
+ * @param {Array} samples A block of samples, interleaved when there are several channels
+ *
+ * @returns A new Float32Array of the filtered block
+ */
+BiquadCascade.prototype.process = function(samples) {
+  var channels = this.channels,
+      sections = this.sections,
+      frames   = Math.floor(samples.length / channels),
+      output   = new Float32Array(samples.length),
+      state, section, x, y, c, i, s;
+
+  for (c = 0; c < channels; c++) {
+    state = this.state[c];
+
+    for (i = 0; i < frames; i++) {
+      x = samples[i * channels + c];
+
+      for (s = 0; s < sections.length; s++) {
+        section = sections[s];
+
+        y = section.b[0] * x + section.b[1] * state[4 * s] + section.b[2] * state[4 * s + 1] -
+            section.a[1] * state[4 * s + 2] - section.a[2] * state[4 * s + 3];
+
+        state[4 * s + 1] = state[4 * s];
+        state[4 * s]     = x;
+        state[4 * s + 3] = state[4 * s + 2];
+        state[4 * s + 2] = y;
+
+        x = y;
+      }
+
+      output[i * channels + c] = x;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Calculates the magnitude response of the cascade, the product of the
+ * DSP.freqz() responses of the sections.
+ *
+ * @param {Array} w The frequencies in radians per sample (default 200 points between -PI and PI)
+ *
+ * @returns A new Float32Array of magnitudes
+ */
+BiquadCascade.prototype.response = function(w) {
+  var response, section, s, i;
+
+  for (s = 0; s < this.sections.length; s++) {
+    section = DSP.freqz(this.sections[s].b, this.sections[s].a, w);
+
+    if (!response) {
+      response = section;
+    } else {
+      for (i = 0; i < response.length; i++) {
+        response[i] *= section[i];
+      }
+    }
+  }
+
+  return response;
+};
+
+/**
+ * Calculates the zeros, poles and gain of an analog lowpass prototype with
+ * its edge at 1 rad/s: the -3 dB point of DSP.BUTTERWORTH, the end of the
+ * passband ripple of DSP.CHEBYSHEV1 and DSP.ELLIPTIC, the start of the
+ * stopband of DSP.CHEBYSHEV2. Complex numbers are {real, imag}.
+ *
+ * @param {Number} prototype   DSP.BUTTERWORTH, DSP.CHEBYSHEV1, DSP.CHEBYSHEV2 or DSP.ELLIPTIC
+ * @param {Number} order       The order of the filter
+ * @param {Number} ripple      The passband ripple in dB (default 1)
+ * @param {Number} attenuation The stopband attenuation in dB (default 60)
+ *
+ * @returns An object with zeros, poles and gain
+ */
+BiquadCascade.analogPrototype = function(prototype, order, ripple, attenuation) {
+  var zeros = [],
+      poles = [],
+      gain  = 1,
+      eps, mu, theta, p, i;
+
+  ripple      = ripple || 1;
+  attenuation = attenuation || 60;
+
+  var mul = function(a, b) {
+    return {real: a.real * b.real - a.imag * b.imag, imag: a.real * b.imag + a.imag * b.real};
+  };
+
+  var div = function(a, b) {
+    var d = b.real * b.real + b.imag * b.imag;
+    return {real: (a.real * b.real + a.imag * b.imag) / d, imag: (a.imag * b.real - a.real * b.imag) / d};
+  };
+
+  // Real part of prod(-b) / prod(-a), the gain at DC of poles b and zeros a
+  var dcGain = function(a, b) {
+    var result = {real: 1, imag: 0}, i;
+
+    for (i = 0; i < b.length; i++) {
+      result = mul(result, {real: -b[i].real, imag: -b[i].imag});
+    }
+
+    for (i = 0; i < a.length; i++) {
+      result = div(result, {real: -a[i].real, imag: -a[i].imag});
+    }
+
+    return result.real;
+  };
+
+  switch (prototype) {
+    case DSP.BUTTERWORTH:
+      for (i = 0; i < order; i++) {
+        theta = Math.PI * (2 * i + order + 1) / (2 * order);
+        poles.push({real: Math.cos(theta), imag: Math.sin(theta)});
+      }
+      break;
+
+    case DSP.CHEBYSHEV1:
+    case DSP.CHEBYSHEV2:
+      eps = prototype === DSP.CHEBYSHEV1 ? Math.sqrt(Math.pow(10, ripple / 10) - 1) :
+                                          1 / Math.sqrt(Math.pow(10, attenuation / 10) - 1);
+      mu  = Math.log(1 / eps + Math.sqrt(1 / (eps * eps) + 1)) / order;
+
+      for (i = 0; i < order; i++) {
+        theta = Math.PI * (2 * i + 1) / (2 * order);
+        p = {real: -sinh(mu) * Math.sin(theta), imag: (Math.exp(mu) + Math.exp(-mu)) / 2 * Math.cos(theta)};
+
+        if (prototype === DSP.CHEBYSHEV1) {
+          poles.push(p);
+        } else {
+          // Inverse Chebyshev: inverted poles, zeros on the imaginary axis
+          poles.push(div({real: 1, imag: 0}, p));
+
+          if (Math.abs(Math.cos(theta)) > 1e-12) {
+            zeros.push({real: 0, imag: 1 / Math.cos(theta)});
+          }
+        }
+      }
+
+      gain = dcGain(zeros, poles);
+
+      if (prototype === DSP.CHEBYSHEV1 && order % 2 === 0) {
+        gain /= Math.sqrt(1 + eps * eps);
+      }
+      break;
+
+    case DSP.ELLIPTIC:
+      // S. J. Orfanidis, Lecture Notes on Elliptic Filter Design, with the
+      // elliptic functions in units of the quarter period (sn(u K, k))
+      var landen = function(k) {
+        var v = [];
+
+        while (k > 1e-16 && v.length < 20) {
+          k = k / (1 + Math.sqrt((1 - k) * (1 + k)));
+          k *= k;
+          v.push(k);
+        }
+
+        return v;
+      };
+
+      var ellipticK = function(k) {
+        var v = landen(k), K = Math.PI / 2;
+
+        for (var n = 0; n < v.length; n++) {
+          K *= 1 + v[n];
+        }
+
+        return K;
+      };
+
+      // sn or cd of a complex u by ascending Landen from sin or cos
+      var ascend = function(w, k) {
+        var v = landen(k);
+
+        for (var n = v.length - 1; n >= 0; n--) {
+          w = div({real: (1 + v[n]) * w.real, imag: (1 + v[n]) * w.imag},
+                  {real: 1 + v[n] * (w.real * w.real - w.imag * w.imag), imag: 2 * v[n] * w.real * w.imag});
+        }
+
+        return w;
+      };
+
+      var sn = function(u, k) {
+        var x = Math.PI / 2 * u.real, y = Math.PI / 2 * u.imag;
+        return ascend({real: Math.sin(x) * (Math.exp(y) + Math.exp(-y)) / 2, imag: Math.cos(x) * sinh(y)}, k);
+      };
+
+      var cd = function(u, k) {
+        var x = Math.PI / 2 * u.real, y = Math.PI / 2 * u.imag;
+        return ascend({real: Math.cos(x) * (Math.exp(y) + Math.exp(-y)) / 2, imag: -Math.sin(x) * sinh(y)}, k);
+      };
+
+      // Inverse of sn for real 0 <= w <= 1 by descending Landen
+      var asn = function(w, k) {
+        var v = landen(k), previous = k;
+
+        for (var n = 0; n < v.length; n++) {
+          w = w / (1 + Math.sqrt(1 - w * w * previous * previous)) * 2 / (1 + v[n]);
+          previous = v[n];
+        }
+
+        return 1 - 2 / Math.PI * Math.acos(Math.min(w, 1));
+      };
+
+      var ep = Math.sqrt(Math.pow(10, ripple / 10) - 1),
+          es = Math.sqrt(Math.pow(10, attenuation / 10) - 1),
+          k1 = ep / es,
+          k1p = Math.sqrt((1 - k1) * (1 + k1)),
+          half = Math.floor(order / 2),
+          kp = Math.pow(k1p, order),
+          k, u, v0, z;
+
+      // Degree equation: the selectivity k reached by this order
+      for (i = 1; i <= half; i++) {
+        kp *= Math.pow(sn({real: (2 * i - 1) / order, imag: 0}, k1p).real, 4);
+      }
+
+      k = Math.sqrt((1 - kp) * (1 + kp));
+
+      // sn(j v0 N K1, k1) = j / ep
+      v0 = asn(1 / Math.sqrt(1 + ep * ep), k1p) * ellipticK(k1p) / ellipticK(k1) / order;
+
+      for (i = 1; i <= half; i++) {
+        u = (2 * i - 1) / order;
+
+        z = cd({real: u, imag: 0}, k).real;
+        zeros.push({real: 0, imag: 1 / (k * z)}, {real: 0, imag: -1 / (k * z)});
+
+        p = cd({real: u, imag: -v0}, k);
+        p = {real: -Math.abs(p.imag), imag: p.real};
+        poles.push(p, {real: p.real, imag: -p.imag});
+      }
+
+      if (order % 2 === 1) {
+        poles.push({real: -Math.abs(sn({real: 0, imag: v0}, k).imag), imag: 0});
+      }
+
+      gain = dcGain(zeros, poles);
+
+      if (order % 2 === 0) {
+        gain /= Math.sqrt(1 + ep * ep);
+      }
+      break;
+
+    default:
+      throw "Invalid prototype, use DSP.BUTTERWORTH, DSP.CHEBYSHEV1, DSP.CHEBYSHEV2 or DSP.ELLIPTIC.";
+  }
+
+  return {zeros: zeros, poles: poles, gain: gain};
+};
+
+/**
+ * Designs a Butterworth, Chebyshev or elliptic filter as second order
+ * sections: the analog prototype is moved to the band edges, prewarped, and
+ * turned digital with the bilinear transform. Bandpass and bandstop filters
+ * have twice the order.
+ *
+ * The cutoffs are the -3 dB points of Butterworth filters, the passband
+ * edges of Chebyshev type I and elliptic filters and the stopband edges of
+ * Chebyshev type II filters.
+ *
+ * @param {Number} prototype   DSP.BUTTERWORTH, DSP.CHEBYSHEV1, DSP.CHEBYSHEV2 or DSP.ELLIPTIC
+ * @param {Number} type        DSP.LOWPASS, DSP.HIGHPASS, DSP.BANDPASS or DSP.BANDSTOP
+ * @param {Number} order       The order of the prototype
+ * @param {Number} cutoff      The cutoff frequency in Hz (the lower edge of the band)
+ * @param {Number} cutoff2     The upper edge of the band in Hz for DSP.BANDPASS and DSP.BANDSTOP
+ * @param {Number} sampleRate  The sampleRate of the signal (eg. 44100)
+ * @param {Number} ripple      The passband ripple in dB (default 1)
+ * @param {Number} attenuation The stopband attenuation in dB (default 60)
+ *
+ * @returns An array of sections for BiquadCascade
+ */
+BiquadCascade.design = function(prototype, type, order, cutoff, cutoff2, sampleRate, ripple, attenuation) {
+  var analog = BiquadCascade.analogPrototype(prototype, order, ripple, attenuation),
+      zeros  = [],
+      poles  = [],
+      gain   = analog.gain,
+      fs2    = 2 * sampleRate,
+      low    = fs2 * Math.tan(Math.PI * cutoff / sampleRate),
+      high   = fs2 * Math.tan(Math.PI * cutoff2 / sampleRate),
+      center = Math.sqrt(low * high),
+      width  = high - low,
+      extra  = analog.poles.length - analog.zeros.length,
+      i;
+
+  if ((type === DSP.BANDPASS || type === DSP.BANDSTOP) && !(cutoff2 > cutoff)) {
+    throw "Invalid cutoff2, the band needs cutoff < cutoff2.";
+  }
+
+  var mul = function(a, b) {
+    return {real: a.real * b.real - a.imag * b.imag, imag: a.real * b.imag + a.imag * b.real};
+  };
+
+  var div = function(a, b) {
+    var d = b.real * b.real + b.imag * b.imag;
+    return {real: (a.real * b.real + a.imag * b.imag) / d, imag: (a.imag * b.real - a.real * b.imag) / d};
+  };
 
-  this.process = function(buffer) {
-    for ( var i = 0; i < buffer.length; i++ ) {
-      this.vibraSpeed += (buffer[i] - this.vibraPos) * this.c;
-      this.vibraPos   += this.vibraSpeed;
-      this.vibraSpeed *= this.r;
-   
-      /*
-      var temp = this.vibraPos;
-     
-      if ( temp > 1.0 ) {
-        temp = 1.0;
-      } else if ( temp < -1.0 ) {
-        temp = -1.0;
-      } else if ( temp != temp ) {
-        temp = 1;
+  var sqrt = function(a) {
+    var m = Math.sqrt(a.real * a.real + a.imag * a.imag),
+        real = Math.sqrt(Math.max(0, (m + a.real) / 2)),
+        imag = Math.sqrt(Math.max(0, (m - a.real) / 2));
+
+    return {real: real, imag: a.imag < 0 ? -imag : imag};
+  };
+
+  // Real part of prod(c - b) / prod(c - a)
+  var ratio = function(c, a, b) {
+    var result = {real: 1, imag: 0}, i;
+
+    for (i = 0; i < b.length; i++) {
+      result = mul(result, {real: c - b[i].real, imag: -b[i].imag});
+    }
+
+    for (i = 0; i < a.length; i++) {
+      result = div(result, {real: c - a[i].real, imag: -a[i].imag});
+    }
+
+    return result.real;
+  };
+
+  // Lowpass to bandpass maps a root r to r w / 2 +- sqrt((r w / 2)^2 - w0^2),
+  // lowpass to bandstop the same with w / (2 r)
+  var split = function(roots, inverse) {
+    var result = [], half, root;
+
+    for (var i = 0; i < roots.length; i++) {
+      half = inverse ? div({real: width / 2, imag: 0}, roots[i]) :
+                       {real: roots[i].real * width / 2, imag: roots[i].imag * width / 2};
+      root = sqrt({real: half.real * half.real - half.imag * half.imag - center * center, imag: 2 * half.real * half.imag});
+
+      result.push({real: half.real + root.real, imag: half.imag + root.imag},
+                  {real: half.real - root.real, imag: half.imag - root.imag});
+    }
+
+    return result;
+  };
+
+  switch (type) {
+    case DSP.LOWPASS:
+      for (i = 0; i < analog.zeros.length; i++) {
+        zeros.push({real: analog.zeros[i].real * low, imag: analog.zeros[i].imag * low});
       }
-     
-      buffer[i] = temp;
-      */
+      for (i = 0; i < analog.poles.length; i++) {
+        poles.push({real: analog.poles[i].real * low, imag: analog.poles[i].imag * low});
+      }
+      gain *= Math.pow(low, extra);
+      break;
 
-      if (this.envelope) {
-        buffer[i] = (buffer[i] * (1 - this.envelope.value())) + (this.vibraPos * this.envelope.value());
-        this.envelope.samplesProcessed++;
+    case DSP.HIGHPASS:
+      gain *= ratio(0, analog.poles, analog.zeros);
+
+      for (i = 0; i < analog.zeros.length; i++) {
+        zeros.push(div({real: low, imag: 0}, analog.zeros[i]));
+      }
+      for (i = 0; i < analog.poles.length; i++) {
+        poles.push(div({real: low, imag: 0}, analog.poles[i]));
+      }
+      for (i = 0; i < extra; i++) {
+        zeros.push({real: 0, imag: 0});
+      }
+      break;
+
+    case DSP.BANDPASS:
+      zeros = split(analog.zeros, false);
+      poles = split(analog.poles, false);
+
+      for (i = 0; i < extra; i++) {
+        zeros.push({real: 0, imag: 0});
+      }
+      gain *= Math.pow(width, extra);
+      break;
+
+    case DSP.BANDSTOP:
+      gain *= ratio(0, analog.poles, analog.zeros);
+
+      zeros = split(analog.zeros, true);
+      poles = split(analog.poles, true);
+
+      for (i = 0; i < extra; i++) {
+        zeros.push({real: 0, imag: center}, {real: 0, imag: -center});
+      }
+      break;
+
+    default:
+      throw "Invalid type, use DSP.LOWPASS, DSP.HIGHPASS, DSP.BANDPASS or DSP.BANDSTOP.";
+  }
+
+  // Bilinear transform, the zeros at infinity go to Nyquist
+  gain *= ratio(fs2, poles, zeros);
+  extra = poles.length - zeros.length;
+
+  for (i = 0; i < zeros.length; i++) {
+    zeros[i] = div({real: fs2 + zeros[i].real, imag: zeros[i].imag}, {real: fs2 - zeros[i].real, imag: -zeros[i].imag});
+  }
+  for (i = 0; i < poles.length; i++) {
+    poles[i] = div({real: fs2 + poles[i].real, imag: poles[i].imag}, {real: fs2 - poles[i].real, imag: -poles[i].imag});
+  }
+  for (i = 0; i < extra; i++) {
+    zeros.push({real: -1, imag: 0});
+  }
+
+  return BiquadCascade.sections(zeros, poles, gain);
+};
+
+/**
+ * Groups digital zeros and poles into second order sections. Conjugate
+ * poles share a section with the nearest conjugate zeros, and the poles
+ * closest to the unit circle come last. The gain goes to the first section.
+ *
+ * @param {Array}  zeros The zeros, {real, imag}, in conjugate pairs
+ * @param {Array}  poles The poles, {real, imag}, in conjugate pairs, as many as the zeros
+ * @param {Number} gain  The gain of the filter
+ *
+ * @returns An array of sections for BiquadCascade
+ */
+BiquadCascade.sections = function(zeros, poles, gain) {
+  var sections = [],
+      tolerance = 1e-9;
+
+  // Pairs of conjugate roots, and of real roots (the smallest with the
+  // largest, so that a bandpass gets a zero at DC and one at Nyquist)
+  var pairs = function(roots, single) {
+    var result = [],
+        real = [],
+        i, nearest;
+
+    for (i = 0; i < roots.length; i++) {
+      if (Math.abs(roots[i].imag) > tolerance) {
+        if (roots[i].imag > 0) {
+          result.push([roots[i], {real: roots[i].real, imag: -roots[i].imag}]);
+        }
       } else {
-        buffer[i] = this.vibraPos;
+        real.push(roots[i].real);
       }
     }
+
+    real.sort(function(a, b) { return a - b; });
+
+    if (real.length % 2 === 1) {
+      nearest = 0;
+
+      for (i = 1; i < real.length; i++) {
+        if (Math.abs(real[i] - single) < Math.abs(real[nearest] - single)) {
+          nearest = i;
+        }
+      }
+
+      result.push([{real: real.splice(nearest, 1)[0], imag: 0}]);
+    }
+
+    while (real.length) {
+      result.push([{real: real.shift(), imag: 0}, {real: real.pop(), imag: 0}]);
+    }
+
+    return result;
   };
-}; 
 
-IIRFilter.LP12.prototype.addEnvelope = function(envelope) {
-  this.envelope = envelope;
+  var distance = function(a, b) {
+    return Math.sqrt((a.real - b.real) * (a.real - b.real) + (a.imag - b.imag) * (a.imag - b.imag));
+  };
+
+  var radius = function(pair) {
+    return Math.abs(1 - Math.sqrt(pair[0].real * pair[0].real + pair[0].imag * pair[0].imag));
+  };
+
+  var polynomial = function(pair) {
+    if (pair.length === 1) {
+      return [1, -pair[0].real, 0];
+    }
+
+    return [1, -(pair[0].real + pair[1].real), pair[0].real * pair[1].real - pair[0].imag * pair[1].imag];
+  };
+
+  var polePairs, zeroPairs, single = 0, i, j, nearest;
+
+  for (i = 0; i < poles.length; i++) {
+    if (Math.abs(poles[i].imag) <= tolerance) {
+      single = poles[i].real;
+    }
+  }
+
+  polePairs = pairs(poles, single);
+  zeroPairs = pairs(zeros, single);
+
+  // Closest to the unit circle first, matched to its nearest zeros
+  polePairs.sort(function(a, b) { return radius(a) - radius(b); });
+
+  for (i = 0; i < polePairs.length; i++) {
+    nearest = -1;
+
+    for (j = 0; j < zeroPairs.length; j++) {
+      if (zeroPairs[j].length === polePairs[i].length &&
+          (nearest < 0 || distance(zeroPairs[j][0], polePairs[i][0]) < distance(zeroPairs[nearest][0], polePairs[i][0]))) {
+        nearest = j;
+      }
+    }
+
+    sections.unshift({b: polynomial(zeroPairs.splice(nearest, 1)[0]), a: polynomial(polePairs[i])});
+  }
+
+  for (i = 0; i < 3; i++) {
+    sections[0].b[i] *= gain;
+  }
+
+  return sections;
 };
 
-function IIRFilter2(type, cutoff, resonance, sampleRate) {
-  this.type = type;
-  this.cutoff = cutoff;
-  this.resonance = resonance;
-  this.sampleRate = sampleRate;
+/**
+ * Designs an optimal equiripple linear phase filter with the Parks-McClellan
+ * algorithm (Remez exchange): the weighted error between the response and
+ * the desired one has the smallest possible maximum over the bands. Between
+ * the bands are don't care transition regions.
+ *
+ * Even lengths can not have a gain other than 0 at Nyquist (no highpass).
+ * Check the result with DSP.freqz, the design may not converge for
+ * unreachable specifications.
+ *
+ * @param {Number} length        The number of coefficients
+ * @param {Array}  bands         The band edges in Hz, in pairs from 0 to sampleRate/2 (eg. [0, 1000, 1500, 22050])
+ * @param {Array}  desired       The desired gain of each band (eg. [1, 0])
+ * @param {Array}  weights       The relative weight of the error in each band (default all 1)
+ * @param {Number} sampleRate    The sampleRate of the signal (eg. 44100)
+ * @param {Number} gridDensity   The number of grid points per coefficient (default 16)
+ * @param {Number} maxIterations The largest number of exchanges (default 40)
+ *
+ * @returns A new Float32Array of coefficients
+ */
+FIRFilter.remez = function(length, bands, desired, weights, sampleRate, gridDensity, maxIterations) {
+  var even       = length % 2 === 0,
+      r          = even ? length / 2 : (length + 1) / 2,  // number of cosine terms
+      bandCount  = bands.length / 2,
+      grid       = [],
+      gridD      = [],
+      gridW      = [],
+      error, extremals, x, c, w, delta, numerator, denominator, sign, band, step, start, end, points, f, q, i, j, k, iteration;
+
+  gridDensity   = gridDensity || 16;
+  maxIterations = maxIterations || 40;
+  weights       = weights || [];
+
+  if (bands.length % 2 !== 0 || desired.length !== bandCount) { throw "Invalid bands, give an edge pair and a desired gain per band."; }
+
+  // Grid of frequencies (cycles per sample) spread over the bands. An even
+  // length filter has a zero at Nyquist, the response is cos(PI f) times a
+  // cosine series fitted to the desired response divided by cos(PI f).
+  step = 0.5 / (gridDensity * r);
+
+  for (band = 0; band < bandCount; band++) {
+    start = bands[2 * band] / sampleRate;
+    end   = bands[2 * band + 1] / sampleRate;
+
+    if (even && end > 0.5 - step) {
+      if (desired[band] !== 0) { throw "Invalid bands, an even length filter must have a gain of 0 at Nyquist."; }
+      end = 0.5 - step;
+    }
 
-  this.f = Float32Array(4);
-  this.f[0] = 0.0; // lp
-  this.f[1] = 0.0; // hp
-  this.f[2] = 0.0; // bp
-  this.f[3] = 0.0; // br 
- 
-  this.calcCoeff = function(cutoff, resonance) {
-    this.freq = 2 * Math.sin(Math.PI * Math.min(0.25, cutoff/(this.sampleRate*2)));  
-    this.damp = Math.min(2 * (1 - Math.pow(resonance, 0.25)), Math.min(2, 2/this.freq - this.freq * 0.5));
+    points = Math.max(1, Math.round((end - start) / step));
+
+    for (i = 0; i <= points; i++) {
+      f = start + (end - start) * i / points;
+      q = even ? Math.cos(Math.PI * f) : 1;
+
+      grid.push(f);
+      gridD.push(desired[band] / q);
+      gridW.push((typeof weights[band] === "undefined" ? 1 : weights[band]) * q);
+    }
+  }
+
+  if (grid.length < r + 1) { throw "Invalid bands, too narrow for the filter length."; }
+
+  // Plain arrays for double precision, the barycentric weights get large
+  error = [];
+  x = [];
+  c = [];
+  w = [];
+
+  // Evenly spaced initial extremal frequencies
+  extremals = [];
+
+  for (i = 0; i <= r; i++) {
+    extremals.push(Math.round(i * (grid.length - 1) / r));
+  }
+
+  // The cosine series through the r first extremals, at frequency f
+  var evaluate = function(f) {
+    var xf = Math.cos(DSP.TWO_PI * f),
+        numerator = 0,
+        denominator = 0,
+        t;
+
+    for (var k = 0; k < r; k++) {
+      t = xf - x[k];
+
+      if (Math.abs(t) < 1e-12) {
+        return c[k];
+      }
+
+      t = w[k] / t;
+      numerator += t * c[k];
+      denominator += t;
+    }
+
+    return numerator / denominator;
   };
 
-  this.calcCoeff(cutoff, resonance);
-}
+  for (iteration = 0; iteration < maxIterations; iteration++) {
+    for (k = 0; k <= r; k++) {
+      x[k] = Math.cos(DSP.TWO_PI * grid[extremals[k]]);
+    }
 
-IIRFilter2.prototype.process = function(buffer) {
-  var input, output;
-  var f = this.f;
+    // Barycentric weights of the r + 1 extremals and the alternating error
+    // delta which the best series reaches on all of them
+    numerator = 0;
+    denominator = 0;
+    sign = 1;
+
+    for (k = 0; k <= r; k++) {
+      w[k] = 1;
+
+      for (j = 0; j <= r; j++) {
+        if (j !== k) {
+          w[k] /= x[k] - x[j];
+        }
+      }
+
+      numerator += w[k] * gridD[extremals[k]];
+      denominator += sign * w[k] / gridW[extremals[k]];
+      sign = -sign;
+    }
+
+    delta = numerator / denominator;
+
+    // Values on the extremals, and barycentric weights of the r first ones
+    sign = 1;
+
+    for (k = 0; k <= r; k++) {
+      c[k] = gridD[extremals[k]] - sign * delta / gridW[extremals[k]];
+      sign = -sign;
+    }
+
+    for (k = 0; k < r; k++) {
+      w[k] = 1;
+
+      for (j = 0; j < r; j++) {
+        if (j !== k) {
+          w[k] /= x[k] - x[j];
+        }
+      }
+    }
+
+    for (i = 0; i < grid.length; i++) {
+      error[i] = gridW[i] * (gridD[i] - evaluate(grid[i]));
+    }
+
+    // The new extremals: the local extrema of the error and the band edges,
+    // only the largest of neighbours with the same sign. The smallest are
+    // dropped, two at a time to keep the signs alternating, down to r + 1.
+    var candidates = [],
+        edge, smallest;
+
+    for (i = 0; i < grid.length; i++) {
+      edge = i === 0 || i === grid.length - 1 || grid[i + 1] - grid[i] > 1.5 * step || grid[i] - grid[i - 1] > 1.5 * step;
+
+      if (edge || (error[i] > 0 && error[i] >= error[i - 1] && error[i] > error[i + 1]) ||
+          (error[i] < 0 && error[i] <= error[i - 1] && error[i] < error[i + 1])) {
+        if (candidates.length && (error[candidates[candidates.length - 1]] > 0) === (error[i] > 0)) {
+          if (Math.abs(error[i]) > Math.abs(error[candidates[candidates.length - 1]])) {
+            candidates[candidates.length - 1] = i;
+          }
+        } else {
+          candidates.push(i);
+        }
+      }
+    }
+
+    while (candidates.length > r + 1) {
+      smallest = 0;
+
+      for (k = 1; k < candidates.length; k++) {
+        if (Math.abs(error[candidates[k]]) < Math.abs(error[candidates[smallest]])) {
+          smallest = k;
+        }
+      }
+
+      if (candidates.length === r + 2 || smallest === 0 || smallest === candidates.length - 1) {
+        // An end one keeps the alternation
+        if (Math.abs(error[candidates[0]]) < Math.abs(error[candidates[candidates.length - 1]])) {
+          candidates.shift();
+        } else {
+          candidates.pop();
+        }
+      } else {
+        // Its neighbours have the same sign now, drop the smaller one too
+        k = Math.abs(error[candidates[smallest - 1]]) < Math.abs(error[candidates[smallest + 1]]) ? smallest - 1 : smallest + 1;
+        candidates.splice(Math.max(k, smallest), 1);
+        candidates.splice(Math.min(k, smallest), 1);
+      }
+    }
+
+    if (candidates.length < r + 1) {
+      break;
+    }
+
+    var changed = false,
+        maxError = 0;
+
+    for (k = 0; k <= r; k++) {
+      changed = changed || candidates[k] !== extremals[k];
+      maxError = Math.max(maxError, Math.abs(error[candidates[k]]));
+    }
+
+    extremals = candidates;
+
+    if (!changed || maxError - Math.abs(delta) <= 1e-6 * Math.abs(delta)) {
+      break;
+    }
+  }
 
-  for ( var i = 0; i < buffer.length; i++ ) {
-    input = buffer[i];
+  // Sample the amplitude response at length frequencies and transform back
+  var coefficients = new Float32Array(length),
+      center = (length - 1) / 2,
+      amplitude = [];
 
-    // first pass
-    f[3] = input - this.damp * f[2];
-    f[0] = f[0] + this.freq * f[2];
-    f[1] = f[3] - f[0];
-    f[2] = this.freq * f[1] + f[2];
-    output = 0.5 * f[this.type];
+  for (k = 0; k <= length / 2; k++) {
+    f = k / length;
+    amplitude[k] = (even ? Math.cos(Math.PI * f) : 1) * evaluate(f);
+  }
 
-    // second pass
-    f[3] = input - this.damp * f[2];
-    f[0] = f[0] + this.freq * f[2];
-    f[1] = f[3] - f[0];
-    f[2] = this.freq * f[1] + f[2];
-    output += 0.5 * f[this.type];
+  for (i = 0; i < length; i++) {
+    var sum = amplitude[0];
 
-    if (this.envelope) {
-      buffer[i] = (buffer[i] * (1 - this.envelope.value())) + (output * this.envelope.value());
-      this.envelope.samplesProcessed++;
-    } else {
-      buffer[i] = output;
+    for (k = 1; k < amplitude.length; k++) {
+      // Bin length/2 of an even length filter is 0
+      if (2 * k !== length) {
+        sum += 2 * amplitude[k] * Math.cos(DSP.TWO_PI * k * (i - center) / length);
+      }
     }
-  }
-};
 
-IIRFilter2.prototype.addEnvelope = function(envelope) {
-  if ( envelope instanceof ADSR ) {
-    this.envelope = envelope;
-  } else {
-    throw "This is not an envelope.";
+    coefficients[i] = sum / length;
   }
-};
 
-IIRFilter2.prototype.set = function(cutoff, resonance) {
-  this.calcCoeff(cutoff, resonance);
+  return coefficients;
 };
 
 
@@ -1413,6 +6284,20 @@ function WindowFunction(type, alpha) {
     case DSP.TRIANGULAR:
       this.func = WindowFunction.Triangular;
       break;
+
+    case DSP.KBD:
+      this.func = WindowFunction.KBD;
+      this.alpha = this.alpha || 4;
+      break;
+
+    case DSP.SINEWINDOW:
+      this.func = WindowFunction.SineWindow;
+      break;
+
+    case DSP.KAISER:
+      this.func = WindowFunction.Kaiser;
+      this.alpha = typeof this.alpha === "undefined" ? 5 : this.alpha;
+      break;
   }
 }
 
@@ -1448,26 +6333,618 @@ WindowFunction.Gauss = function(length, index, alpha) {
   return Math.pow(Math.E, -0.5 * Math.pow((index - (length - 1) / 2) / (alpha * (length - 1) / 2), 2));
 };
 
-WindowFunction.Hamming = function(length, index) {
-  return 0.54 - 0.46 * Math.cos(DSP.TWO_PI * index / (length - 1));
-};
+WindowFunction.Hamming = function(length, index) {
+  return 0.54 - 0.46 * Math.cos(DSP.TWO_PI * index / (length - 1));
+};
+
+WindowFunction.Hann = function(length, index) {
+  return 0.5 * (1 - Math.cos(DSP.TWO_PI * index / (length - 1)));
+};
+
+WindowFunction.Lanczos = function(length, index) {
+  var x = 2 * index / (length - 1) - 1;
+  return Math.sin(Math.PI * x) / (Math.PI * x);
+};
+
+WindowFunction.Rectangular = function(length, index) {
+  return 1;
+};
+
+WindowFunction.Triangular = function(length, index) {
+  return 2 / length * (length / 2 - Math.abs(index - (length - 1) / 2));
+};
+
+// Kaiser-Bessel derived window, meets the Princen-Bradley condition for MDCT
+// overlap-add. Each value depends on a running sum, so the last window is
+// cached.
+WindowFunction.KBD = function(length, index, alpha) {
+  var cache = WindowFunction.KBD.cache;
+
+  if (!cache || cache.length !== length || cache.alpha !== alpha) {
+    var half   = length >>> 1,
+        kaiser = new Float32Array(half + 1),
+        table  = new Float32Array(length),
+        total  = 0,
+        sum    = 0,
+        i, x;
+
+    for (i = 0; i <= half; i++) {
+      x = 2 * i / half - 1;
+      kaiser[i] = besselI0(Math.PI * alpha * Math.sqrt(1 - x * x));
+      total += kaiser[i];
+    }
+
+    for (i = 0; i < half; i++) {
+      sum += kaiser[i];
+      table[i] = table[length - 1 - i] = Math.sqrt(sum / total);
+    }
+
+    cache = WindowFunction.KBD.cache = { length: length, alpha: alpha, table: table };
+  }
+
+  return cache.table[index];
+};
+
+// Sine window as used by the MDCT, meets the Princen-Bradley condition
+WindowFunction.SineWindow = function(length, index) {
+  return Math.sin(Math.PI * (index + 0.5) / length);
+};
+
+// Kaiser window, alpha is the beta parameter trading main lobe width for
+// side lobe level (0 is rectangular)
+WindowFunction.Kaiser = function(length, index, alpha) {
+  if (length === 1) {
+    return 1;
+  }
+
+  var x = 2 * index / (length - 1) - 1;
+
+  return besselI0(alpha * Math.sqrt(Math.max(0, 1 - x * x))) / besselI0(alpha);
+};
+
+/**
+ * STFT is a class for calculating the Short-Time Fourier Transform of a signal.
+ *
+ * Input of any length is streamed through process() and cut into overlapping
+ * windowed frames of frameSize samples, hopSize samples apart. Each complete
+ * frame is transformed with an FFT and returned as an object containing:
+ *
+ *   index     The frame number
+ *   position  The input sample index of the first sample in the frame
+ *             (negative for the leading frames when using DSP.CENTERPAD)
+ *   real      The real part of the full FFT (frameSize values)
+ *   imag      The imaginary part of the full FFT (frameSize values)
+ *   magnitude The unscaled magnitude of bins 0 to floor(frameSize/2)
+ *   phase     The phase in radians of bins 0 to floor(frameSize/2)
+ *
+ * Padding modes:
+ *
+ *   DSP.NOPAD     Frames start at the first sample, flush() drops the samples
+ *                 which do not fill a whole frame
+ *   DSP.ZEROPAD   Frames start at the first sample, flush() pads the remaining
+ *                 samples with zeros
+ *   DSP.CENTERPAD frameSize/2 zeros are prepended so that frame k is centered
+ *                 on sample k * hopSize, flush() pads the end with zeros
+ *
+ * Power of 2 frame sizes use FFT, any other size (eg. 480 or 960) uses
+ * MixedRadixFFT.
+ *
+ * @param {Number} frameSize  The size of the analysis frames
+ * @param {Number} hopSize    The number of samples between two frames (1 to frameSize)
+ * @param {Number} sampleRate The sampleRate of the signal (eg. 44100)
+ * @param {Number} windowType A window function constant (default DSP.HANN)
+ * @param {Number} padding    A padding mode constant (default DSP.CENTERPAD)
+ * @param {Number} alpha      The alpha value passed to the window function (optional)
+ *
+ * @constructor
+ */
+function STFT(frameSize, hopSize, sampleRate, windowType, padding, alpha) {
+  if (!(frameSize >= 1) || frameSize % 1 !== 0) { throw "Invalid frame size, must be a positive integer."; }
+  if (hopSize < 1 || hopSize > frameSize) { throw "Invalid hop size, must be between 1 and the frame size."; }
+
+  this.frameSize  = frameSize;
+  this.hopSize    = hopSize;
+  this.sampleRate = sampleRate;
+  this.windowType = windowType || DSP.HANN;
+  this.padding    = typeof padding === "undefined" ? DSP.CENTERPAD : padding;
+
+  this.fft      = (frameSize & (frameSize - 1)) === 0 ? new FFT(frameSize, sampleRate) : new MixedRadixFFT(frameSize, sampleRate);
+  this.frame    = new Float32Array(frameSize);
+  this.windowed = new Float32Array(frameSize);
+  this.window   = new Float32Array(frameSize);
+
+  var windowFunction = new WindowFunction(this.windowType, alpha);
+
+  for (var i = 0; i < frameSize; i++) {
+    this.window[i] = windowFunction.func(frameSize, i, windowFunction.alpha);
+  }
+
+  this.reset();
+}
+
+/**
+ * Clears the buffered samples so that a new signal can be streamed.
+ */
+STFT.prototype.reset = function() {
+  this.fill = 0;
+  this.position = 0;
+  this.frameCount = 0;
+  this.samplesProcessed = 0;
+
+  for (var i = 0; i < this.frameSize; i++) {
+    this.frame[i] = 0;
+  }
+
+  if (this.padding === DSP.CENTERPAD) {
+    this.fill = this.frameSize >>> 1;
+    this.position = -this.fill;
+  }
+
+  this.covered = this.position;
+};
+
+/**
+ * Windows and transforms the buffered frame, then drops the first hopSize
+ * samples of it.
+ *
+ * @returns The frame object
+ */
+STFT.prototype.analyzeFrame = function() {
+  var frameSize = this.frameSize,
+      hopSize   = this.hopSize,
+      frame     = this.frame,
+      windowed  = this.windowed,
+      window    = this.window,
+      fft       = this.fft,
+      bins      = (frameSize >>> 1) + 1,
+      magnitude = new Float32Array(bins),
+      phase     = new Float32Array(bins),
+      rval, ival, i;
+
+  for (i = 0; i < frameSize; i++) {
+    windowed[i] = frame[i] * window[i];
+  }
+
+  fft.forward(windowed);
+
+  for (i = 0; i < bins; i++) {
+    rval = fft.real[i];
+    ival = fft.imag[i];
+    magnitude[i] = Math.sqrt(rval * rval + ival * ival);
+    phase[i] = Math.atan2(ival, rval);
+  }
+
+  var result = {
+    index:     this.frameCount++,
+    position:  this.position,
+    real:      new Float32Array(fft.real),
+    imag:      new Float32Array(fft.imag),
+    magnitude: magnitude,
+    phase:     phase
+  };
+
+  this.covered = this.position + frameSize;
+  this.position += hopSize;
+
+  for (i = hopSize; i < frameSize; i++) {
+    frame[i - hopSize] = frame[i];
+  }
+
+  this.fill -= hopSize;
+
+  return result;
+};
+
+/**
+ * Streams a block of samples through the analyzer.
+ *
+ * @param {Array} buffer A mono sample buffer of any length
+ *
+ * @returns An Array of the frames completed by this block (may be empty)
+ */
+STFT.prototype.process = function(buffer) {
+  var frameSize = this.frameSize,
+      frame     = this.frame,
+      frames    = [],
+      len       = buffer.length,
+      i = 0, j, n;
+
+  this.samplesProcessed += len;
+
+  while (i < len) {
+    n = Math.min(frameSize - this.fill, len - i);
+
+    for (j = 0; j < n; j++) {
+      frame[this.fill + j] = buffer[i + j];
+    }
+
+    this.fill += n;
+    i += n;
+
+    if (this.fill === frameSize) {
+      frames.push(this.analyzeFrame());
+    }
+  }
+
+  return frames;
+};
+
+/**
+ * Ends the stream, zero padding the buffered samples according to the
+ * padding mode. Call reset() before streaming a new signal.
+ *
+ * @returns An Array of the remaining frames (may be empty)
+ */
+STFT.prototype.flush = function() {
+  var frames = [],
+      end    = this.samplesProcessed,
+      center = this.padding === DSP.CENTERPAD,
+      i;
+
+  if (this.padding === DSP.NOPAD || end === 0) {
+    return frames;
+  }
+
+  // Centered frames continue while they are centered on a sample of the
+  // signal, otherwise until every sample has been part of a frame
+  while (center ? this.position + (this.frameSize >>> 1) < end : this.covered < end) {
+    for (i = this.fill; i < this.frameSize; i++) {
+      this.frame[i] = 0;
+    }
+
+    this.fill = this.frameSize;
+    frames.push(this.analyzeFrame());
+  }
+
+  return frames;
+};
+
+/**
+ * Analyzes a complete signal.
+ *
+ * @param {Array} signal A mono sample buffer of any length
+ *
+ * @returns An Array of all frames of the signal
+ */
+STFT.prototype.forward = function(signal) {
+  this.reset();
+  return this.process(signal).concat(this.flush());
+};
+
+/**
+ * ISTFT is a class for resynthesizing a signal from STFT frames with weighted
+ * overlap-add.
+ *
+ * Every frame is transformed back with FFT.inverse, multiplied by the
+ * synthesis window and added to the output. The output is then divided by
+ * the overlapped sum of analysis times synthesis window, so any window and
+ * hop size combination is normalized. Samples where that sum is below
+ * this.epsilon can not be recovered and are set to zero.
+ *
+ * Frames are objects like the ones produced by STFT. The spectrum is rebuilt
+ * from the magnitude and phase of bins 0 to floor(frameSize/2), so masks
+ * applied to them are heard. Frames without magnitude and phase use their
+ * full real and imag spectra instead.
+ *
+ * Using the same parameters as the STFT, unmodified frames are reconstructed
+ * within 1e-5 of the input (single precision). With DSP.CENTERPAD this holds
+ * for every sample of the signal. Like STFT, frame sizes which are not a power
+ * of 2 use MixedRadixFFT.
+ *
+ * @param {Number} frameSize     The size of the frames
+ * @param {Number} hopSize       The number of samples between two frames (1 to frameSize)
+ * @param {Number} sampleRate    The sampleRate of the signal (eg. 44100)
+ * @param {Number} windowType    The analysis window function constant (default DSP.HANN)
+ * @param {Number} padding       The padding mode constant used for analysis (default DSP.CENTERPAD)
+ * @param {Number} alpha         The alpha value passed to the window functions (optional)
+ * @param {Number} synthesisType The synthesis window function constant (default windowType)
+ *
+ * @constructor
+ */
+function ISTFT(frameSize, hopSize, sampleRate, windowType, padding, alpha, synthesisType) {
+  if (!(frameSize >= 1) || frameSize % 1 !== 0) { throw "Invalid frame size, must be a positive integer."; }
+  if (hopSize < 1 || hopSize > frameSize) { throw "Invalid hop size, must be between 1 and the frame size."; }
+
+  this.frameSize     = frameSize;
+  this.hopSize       = hopSize;
+  this.sampleRate    = sampleRate;
+  this.windowType    = windowType || DSP.HANN;
+  this.synthesisType = synthesisType || this.windowType;
+  this.padding       = typeof padding === "undefined" ? DSP.CENTERPAD : padding;
+  this.epsilon       = 1e-8;
+
+  this.fft     = (frameSize & (frameSize - 1)) === 0 ? new FFT(frameSize, sampleRate) : new MixedRadixFFT(frameSize, sampleRate);
+  this.real    = new Float32Array(frameSize);
+  this.imag    = new Float32Array(frameSize);
+  this.output  = new Float32Array(frameSize);
+  this.norm    = new Float32Array(frameSize);
+  this.window  = new Float32Array(frameSize);
+  this.weights = new Float32Array(frameSize);
+
+  var analysis  = new WindowFunction(this.windowType, alpha),
+      synthesis = new WindowFunction(this.synthesisType, alpha);
+
+  for (var i = 0; i < frameSize; i++) {
+    this.window[i]  = synthesis.func(frameSize, i, synthesis.alpha);
+    this.weights[i] = this.window[i] * analysis.func(frameSize, i, analysis.alpha);
+  }
+
+  this.reset();
+}
+
+/**
+ * Clears the overlap-add buffers so that a new signal can be resynthesized.
+ */
+ISTFT.prototype.reset = function() {
+  for (var i = 0; i < this.frameSize; i++) {
+    this.output[i] = 0;
+    this.norm[i] = 0;
+  }
+
+  this.position = this.padding === DSP.CENTERPAD ? -(this.frameSize >>> 1) : 0;
+  this.frameCount = 0;
+};
+
+/**
+ * Overlap-adds a single frame.
+ *
+ * @param {Object} frame The frame object
+ */
+ISTFT.prototype.addFrame = function(frame) {
+  var frameSize = this.frameSize,
+      real      = this.real,
+      imag      = this.imag,
+      output    = this.output,
+      norm      = this.norm,
+      window    = this.window,
+      weights   = this.weights,
+      half      = frameSize >>> 1,
+      signal, i;
+
+  if (!frame.magnitude || !frame.phase) {
+    real = frame.real;
+    imag = frame.imag;
+  } else {
+    for (i = 0; i <= half; i++) {
+      real[i] = frame.magnitude[i] * Math.cos(frame.phase[i]);
+      imag[i] = frame.magnitude[i] * Math.sin(frame.phase[i]);
+    }
+
+    // Odd sizes have no Nyquist bin, their last bin has a negative twin too
+    imag[0] = 0;
+
+    if (frameSize % 2 === 0) {
+      imag[half] = 0;
+    }
+
+    for (i = 1; i < frameSize - half; i++) {
+      real[frameSize - i] = real[i];
+      imag[frameSize - i] = -imag[i];
+    }
+  }
+
+  signal = this.fft.inverse(real, imag);
+
+  for (i = 0; i < frameSize; i++) {
+    output[i] += signal[i] * window[i];
+    norm[i] += weights[i];
+  }
+
+  this.frameCount++;
+};
+
+/**
+ * Normalizes and removes the first count samples from the overlap-add
+ * buffers, skipping the ones which belong to the leading padding.
+ *
+ * @param {Number} count The number of samples
+ *
+ * @returns The finished samples
+ */
+ISTFT.prototype.shift = function(count) {
+  var frameSize = this.frameSize,
+      output    = this.output,
+      norm      = this.norm,
+      skip      = Math.min(count, Math.max(0, -this.position)),
+      buffer    = new Float32Array(count - skip),
+      i;
+
+  for (i = skip; i < count; i++) {
+    buffer[i - skip] = norm[i] > this.epsilon ? output[i] / norm[i] : 0;
+  }
+
+  for (i = count; i < frameSize; i++) {
+    output[i - count] = output[i];
+    norm[i - count] = norm[i];
+  }
+
+  for (i = frameSize - count; i < frameSize; i++) {
+    output[i] = 0;
+    norm[i] = 0;
+  }
+
+  this.position += count;
+
+  return buffer;
+};
+
+/**
+ * Resynthesizes a block of frames. Frames must be passed in order.
+ *
+ * @param {Array} frames An Array of frame objects or a single frame object
+ *
+ * @returns A Float32Array of the samples completed by these frames
+ */
+ISTFT.prototype.process = function(frames) {
+  if (!(frames instanceof Array)) {
+    frames = [frames];
+  }
+
+  var hopSize = this.hopSize,
+      blocks  = [],
+      length  = 0,
+      buffer, offset, i;
+
+  for (i = 0; i < frames.length; i++) {
+    this.addFrame(frames[i]);
+    blocks.push(this.shift(hopSize));
+    length += blocks[i].length;
+  }
+
+  buffer = new Float32Array(length);
+
+  for (i = 0, offset = 0; i < blocks.length; i++) {
+    buffer.set(blocks[i], offset);
+    offset += blocks[i].length;
+  }
+
+  return buffer;
+};
+
+/**
+ * Ends the stream and returns the remaining overlapped samples. Call reset()
+ * before resynthesizing a new signal.
+ *
+ * @returns A Float32Array of the remaining samples
+ */
+ISTFT.prototype.flush = function() {
+  return this.shift(this.frameSize - this.hopSize);
+};
+
+/**
+ * Resynthesizes a complete signal.
+ *
+ * @param {Array}  frames An Array of all frame objects of the signal
+ * @param {Number} length The length of the original signal (optional)
+ *
+ * @returns The resynthesized signal, cut to length when given
+ */
+ISTFT.prototype.inverse = function(frames, length) {
+  this.reset();
+
+  var head   = this.process(frames),
+      tail   = this.flush(),
+      signal = new Float32Array(head.length + tail.length);
+
+  signal.set(head);
+  signal.set(tail, head.length);
+
+  if (typeof length !== "undefined" && length < signal.length) {
+    signal = signal.subarray(0, length);
+  }
+
+  return signal;
+};
+
+/**
+ * Estimates the power spectral density of a signal with Welch's method:
+ * the periodograms of overlapping windowed segments are averaged, which
+ * trades frequency resolution for a much lower variance than a single FFT.
+ *
+ * The result is one-sided, in units^2/Hz, and normalized by the power of
+ * the window so the area under the PSD equals the mean square of the signal.
+ *
+ * When a second signal is given the cross spectral density of the two
+ * signals (conj(X) * Y, same scaling) and their magnitude squared coherence
+ * are calculated too.
+ *
+ * @param {Array}  signal      A mono sample buffer
+ * @param {Number} sampleRate  The sampleRate of the signal (eg. 44100)
+ * @param {Number} segmentSize The size of the segments (any size, see STFT)
+ * @param {Number} hopSize     The number of samples between two segments (default segmentSize/2)
+ * @param {Number} windowType  A window function constant (default DSP.HANN)
+ * @param {Array}  signal2     A second mono sample buffer of the same length (optional)
+ *
+ * @returns An object with the frequencies (k * sampleRate / segmentSize) and psd of
+ *          bands 0 to floor(segmentSize/2), the number of segments, and for two
+ *          signals psd2, csdReal, csdImag and coherence
+ */
+DSP.welch = function(signal, sampleRate, segmentSize, hopSize, windowType, signal2) {
+  hopSize = hopSize || segmentSize >>> 1;
+
+  if (signal.length < segmentSize) { throw "Signal is shorter than the segment size."; }
+  if (signal2 && signal2.length !== signal.length) { throw "Signal lengths differ."; }
+
+  var stft    = new STFT(segmentSize, hopSize, sampleRate, windowType || DSP.HANN, DSP.NOPAD),
+      frames  = stft.forward(signal),
+      frames2 = signal2 ? stft.forward(signal2) : null,
+      bins    = (segmentSize >>> 1) + 1,
+      window  = stft.window,
+      result  = {
+        frequencies: new Float32Array(bins),
+        psd:         new Float32Array(bins),
+        segments:    frames.length
+      },
+      windowPower = 0,
+      scale, xr, xi, yr, yi, i, k;
+
+  for (i = 0; i < segmentSize; i++) {
+    windowPower += window[i] * window[i];
+  }
+
+  if (signal2) {
+    result.psd2      = new Float32Array(bins);
+    result.csdReal   = new Float32Array(bins);
+    result.csdImag   = new Float32Array(bins);
+    result.coherence = new Float32Array(bins);
+  }
+
+  for (i = 0; i < frames.length; i++) {
+    for (k = 0; k < bins; k++) {
+      xr = frames[i].real[k];
+      xi = frames[i].imag[k];
+      result.psd[k] += xr * xr + xi * xi;
+
+      if (signal2) {
+        yr = frames2[i].real[k];
+        yi = frames2[i].imag[k];
+        result.psd2[k]    += yr * yr + yi * yi;
+        result.csdReal[k] += xr * yr + xi * yi;
+        result.csdImag[k] += xr * yi - xi * yr;
+      }
+    }
+  }
+
+  for (k = 0; k < bins; k++) {
+    // one-sided, so every band but DC and Nyquist holds the power of its negative frequency too
+    scale = (k === 0 || (k === bins - 1 && segmentSize % 2 === 0) ? 1 : 2) / (sampleRate * windowPower * frames.length);
+
+    result.frequencies[k] = k * sampleRate / segmentSize;
+    result.psd[k] *= scale;
 
-WindowFunction.Hann = function(length, index) {
-  return 0.5 * (1 - Math.cos(DSP.TWO_PI * index / (length - 1)));
-};
+    if (signal2) {
+      result.psd2[k]    *= scale;
+      result.csdReal[k] *= scale;
+      result.csdImag[k] *= scale;
 
-WindowFunction.Lanczos = function(length, index) {
-  var x = 2 * index / (length - 1) - 1;
-  return Math.sin(Math.PI * x) / (Math.PI * x);
-};
+      xr = result.csdReal[k];
+      xi = result.csdImag[k];
+      result.coherence[k] = result.psd[k] > 0 && result.psd2[k] > 0 ? (xr * xr + xi * xi) / (result.psd[k] * result.psd2[k]) : 0;
+    }
+  }
 
-WindowFunction.Rectangular = function(length, index) {
-  return 1;
+  return result;
 };
 
-WindowFunction.Triangular = function(length, index) {
-  return 2 / length * (length / 2 - Math.abs(index - (length - 1) / 2));
-};
+/**
+ * Returns the hyperbolic tangent of a number.
+ *
+ * @param {Number} arg The number
+ *
+ * @returns The hyperbolic tangent, between -1 and 1
+ */
+function tanh(arg) {
+  // exp(2 * arg) overflows beyond this, where tanh is 1 in doubles anyway
+  if (arg > 20) {
+    return 1;
+  } else if (arg < -20) {
+    return -1;
+  }
+
+  var e = Math.exp(2 * arg);
+
+  return (e - 1) / (e + 1);
+}
 
 function sinh (arg) {
   // Returns the hyperbolic sine of the number, defined as (exp(number) - exp(-number))/2 
@@ -1479,6 +6956,24 @@ function sinh (arg) {
   return (Math.exp(arg) - Math.exp(-arg))/2;
 }
 
+// Modified Bessel function of the first kind, order zero (power series)
+function besselI0(x) {
+  var sum  = 1,
+      term = 1,
+      half = x / 2;
+
+  for (var k = 1; k < 50; k++) {
+    term *= (half / k) * (half / k);
+    sum += term;
+
+    if (term < sum * 1e-12) {
+      break;
+    }
+  }
+
+  return sum;
+}
+
 /* 
  *  Biquad filter
  * 
@@ -1776,7 +7271,7 @@ DSP.mag2db = function(buffer) {
   var log = Math.log;
   var max = Math.max;
  
-  var result = Float32Array(buffer.length);
+  var result = new Float32Array(buffer.length);
   for (var i=0; i<buffer.length; i++) {
     result[i] = 20.0*log(max(buffer[i], minMag));
   }
@@ -1803,13 +7298,13 @@ DSP.freqz = function(b, a, w) {
   var i, j;
 
   if (!w) {
-    w = Float32Array(200);
+    w = new Float32Array(200);
     for (i=0;i<w.length; i++) {
       w[i] = DSP.TWO_PI/w.length * i - Math.PI;
     }
   }
 
-  var result = Float32Array(w.length);
+  var result = new Float32Array(w.length);
  
   var sqrt = Math.sqrt;
   var cos = Math.cos;
@@ -1980,7 +7475,7 @@ MultiDelay.prototype.setDelayInSamples = function (delayInSamples) {
  
   this.delayInputPointer = this.delayOutputPointer + delayInSamples;
 
-  if (this.delayInputPointer >= this.delayBufferSamples.length-1) {
+  if (this.delayInputPointer >= this.delayBufferSamples.length) {
     this.delayInputPointer = this.delayInputPointer - this.delayBufferSamples.length; 
   }
 };
@@ -2029,12 +7524,12 @@ MultiDelay.prototype.process = function(samples) {
    
     // Manage circulair delay buffer pointers
     this.delayInputPointer++;
-    if (this.delayInputPointer >= this.delayBufferSamples.length-1) {
+    if (this.delayInputPointer >= this.delayBufferSamples.length) {
       this.delayInputPointer = 0;
     }
      
     this.delayOutputPointer++;
-    if (this.delayOutputPointer >= this.delayBufferSamples.length-1) {
+    if (this.delayOutputPointer >= this.delayBufferSamples.length) {
       this.delayOutputPointer = 0; 
     } 
   }
@@ -2079,7 +7574,7 @@ SingleDelay.prototype.setDelayInSamples = function(delayInSamples) {
   this.delayInSamples = delayInSamples;
   this.delayInputPointer = this.delayOutputPointer + delayInSamples;
 
-  if (this.delayInputPointer >= this.delayBufferSamples.length-1) {
+  if (this.delayInputPointer >= this.delayBufferSamples.length) {
     this.delayInputPointer = this.delayInputPointer - this.delayBufferSamples.length; 
   }
 };
@@ -2119,13 +7614,13 @@ SingleDelay.prototype.process = function(samples) {
     // Manage circulair delay buffer pointers
     this.delayInputPointer++;
 
-    if (this.delayInputPointer >= this.delayBufferSamples.length-1) {
+    if (this.delayInputPointer >= this.delayBufferSamples.length) {
       this.delayInputPointer = 0;
     }
      
     this.delayOutputPointer++;
 
-    if (this.delayOutputPointer >= this.delayBufferSamples.length-1) {
+    if (this.delayOutputPointer >= this.delayBufferSamples.length) {
       this.delayOutputPointer = 0; 
     } 
   }
@@ -2300,3 +7795,546 @@ Reverb.prototype.process = function (interleavedSamples){
   return outputSamples;
 };
 
+
+
+/**
+ * Convolver is a streaming FFT convolution engine for long FIR kernels such
+ * as impulse responses.
+ *
+ * The impulse response is split into partitions which are transformed once
+ * with an RFFT. Input blocks are transformed as they complete and multiplied
+ * with the partitions through a frequency domain delay line, using
+ * overlap-add or overlap-save. The output is delayed by blockSize samples
+ * (this.latency), whatever the block size passed to process().
+ *
+ * With DSP.UNIFORM partitioning every partition is blockSize long. With
+ * DSP.NONUNIFORM partitioning the first partitions are blockSize long and
+ * later ones double in size (two of each) up to maxBlockSize, which keeps the
+ * latency low while using fewer, larger FFTs for the tail of long responses.
+ * Note that a large partition is computed in the call which completes its
+ * block.
+ *
+ * Compatible with interleaved stereo (or more channel) buffers and
+ * non-interleaved mono buffers.
+ *
+ * @param {Array}  impulse      The impulse response, or an Array with one impulse response per channel
+ * @param {Number} blockSize    The size of the smallest partition. Must be power of 2
+ * @param {Number} channels     The number of interleaved channels (default 1)
+ * @param {Number} partitioning DSP.UNIFORM (default) or DSP.NONUNIFORM
+ * @param {Number} method       DSP.OVERLAP_SAVE (default) or DSP.OVERLAP_ADD
+ * @param {Number} maxBlockSize The size of the largest partition for DSP.NONUNIFORM (default 8192)
+ *
+ * @constructor
+ */
+function Convolver(impulse, blockSize, channels, partitioning, method, maxBlockSize) {
+  var k = Math.floor(Math.log(blockSize) / Math.LN2);
+
+  if (Math.pow(2, k) !== blockSize || blockSize < 2) { throw "Invalid block size, must be a power of 2."; }
+
+  this.blockSize    = blockSize;
+  this.channels     = channels || 1;
+  this.partitioning = partitioning || DSP.UNIFORM;
+  this.method       = method || DSP.OVERLAP_SAVE;
+  this.maxBlockSize = Math.max(blockSize, maxBlockSize || 8192);
+  this.latency      = blockSize;
+
+  // RFFT instances and scratch buffers, by FFT size
+  this.ffts   = {};
+  this.frames = {};
+  this.sums   = {};
+
+  this.setImpulse(impulse);
+}
+
+/**
+ * Changes the impulse response. Clears the convolution state.
+ *
+ * @param {Array} impulse The impulse response, or an Array with one impulse response per channel
+ */
+Convolver.prototype.setImpulse = function(impulse) {
+  var impulses = impulse instanceof Array ? impulse : [impulse],
+      blockSize = this.blockSize,
+      length = 0,
+      offset = 0,
+      size = blockSize,
+      count, i, j, c;
+
+  if (impulses.length !== 1 && impulses.length !== this.channels) {
+    throw "The number of impulse responses must be 1 or match the number of channels.";
+  }
+
+  for (c = 0; c < impulses.length; c++) {
+    length = Math.max(length, impulses[c].length);
+  }
+
+  // Partition layout, shared by all impulse responses
+  this.stages = [];
+
+  do {
+    if (this.partitioning === DSP.NONUNIFORM && size < this.maxBlockSize && length - offset > 2 * size) {
+      count = 2;
+    } else {
+      count = Math.max(1, Math.ceil((length - offset) / size));
+    }
+
+    this.stages.push({ blockSize: size, offset: offset, count: count });
+
+    offset += count * size;
+    size *= 2;
+  } while (offset < length);
+
+  this.impulseLength = length;
+  this.kernels = [];
+
+  for (c = 0; c < impulses.length; c++) {
+    this.kernels[c] = [];
+
+    for (j = 0; j < this.stages.length; j++) {
+      this.kernels[c][j] = [];
+
+      for (i = 0; i < this.stages[j].count; i++) {
+        this.kernels[c][j][i] = this.transformPartition(impulses[c], this.stages[j], i);
+      }
+    }
+  }
+
+  this.reset();
+};
+
+/**
+ * Zero pads one partition of an impulse response to twice its size and
+ * transforms it.
+ *
+ * @returns The packed half-complex spectrum of the partition
+ */
+Convolver.prototype.transformPartition = function(impulse, stage, index) {
+  var size  = stage.blockSize,
+      fft   = this.getFFT(2 * size),
+      frame = this.frames[2 * size],
+      start = stage.offset + index * size,
+      i;
+
+  for (i = 0; i < size; i++) {
+    frame[i] = start + i < impulse.length ? impulse[start + i] : 0;
+    frame[size + i] = 0;
+  }
+
+  return new Float32Array(fft.transform(frame));
+};
+
+Convolver.prototype.getFFT = function(size) {
+  if (!this.ffts[size]) {
+    // Convolution has no sample rate, the RFFT bands are in cycles per sample
+    this.ffts[size]   = new RFFT(size, 1);
+    this.frames[size] = new Float32Array(size);
+    this.sums[size]   = new Float32Array(size);
+  }
+
+  return this.ffts[size];
+};
+
+/**
+ * Clears the input history, delay lines and pending output.
+ */
+Convolver.prototype.reset = function() {
+  var stages = this.stages,
+      largest = stages[stages.length - 1].blockSize,
+      reach = 0,
+      c, j, i;
+
+  for (j = 0; j < stages.length; j++) {
+    reach = Math.max(reach, stages[j].offset + 2 * stages[j].blockSize);
+  }
+
+  this.historySize = 2 * largest;
+  this.outputSize = 1;
+
+  while (this.outputSize < reach + this.blockSize) {
+    this.outputSize <<= 1;
+  }
+
+  this.period = Math.max(this.historySize, this.outputSize);
+  this.time = 0;
+  this.state = [];
+
+  for (c = 0; c < this.channels; c++) {
+    this.state[c] = {
+      history: new Float32Array(this.historySize),
+      output:  new Float32Array(this.outputSize),
+      lines:   []
+    };
+
+    for (j = 0; j < stages.length; j++) {
+      this.state[c].lines[j] = { index: 0, spectra: [] };
+
+      for (i = 0; i < stages[j].count; i++) {
+        this.state[c].lines[j].spectra[i] = new Float32Array(2 * stages[j].blockSize);
+      }
+    }
+  }
+};
+
+/**
+ * Convolves the block of input which ended at the given time with one stage
+ * of partitions and adds the result to the pending output.
+ */
+Convolver.prototype.processStage = function(channel, index, time) {
+  var stage   = this.stages[index],
+      size    = stage.blockSize,
+      n       = 2 * size,
+      fft     = this.getFFT(n),
+      frame   = this.frames[n],
+      sum     = this.sums[n],
+      state   = this.state[channel],
+      history = state.history,
+      output  = state.output,
+      line    = state.lines[index],
+      kernel  = this.kernels[this.kernels.length === 1 ? 0 : channel][index],
+      hmask   = this.historySize - 1,
+      omask   = this.outputSize - 1,
+      save    = this.method === DSP.OVERLAP_SAVE,
+      count   = stage.count,
+      half    = size,
+      spectrum, partition, signal, start, i, k, p, a, b, x, y;
+
+  // Overlap-save transforms the last two blocks, overlap-add the last block
+  // padded with zeros
+  for (i = 0; i < n; i++) {
+    if (save) {
+      frame[i] = history[(time - n + i) & hmask];
+    } else {
+      frame[i] = i < size ? history[(time - size + i) & hmask] : 0;
+    }
+  }
+
+  line.spectra[line.index].set(fft.transform(frame));
+
+  for (i = 0; i < n; i++) {
+    sum[i] = 0;
+  }
+
+  // Multiply-accumulate the delayed input spectra with the partitions
+  for (p = 0; p < count; p++) {
+    spectrum = line.spectra[(line.index - p + count) % count];
+    partition = kernel[p];
+
+    sum[0] += spectrum[0] * partition[0];
+    sum[half] += spectrum[half] * partition[half];
+
+    for (k = 1; k < half; k++) {
+      a = partition[k];
+      b = partition[n - k];
+      x = spectrum[k];
+      y = spectrum[n - k];
+
+      sum[k] += a * x - b * y;
+      sum[n - k] += a * y + b * x;
+    }
+  }
+
+  line.index = (line.index + 1) % count;
+
+  signal = fft.inverse(sum);
+
+  // The block started at time - size, the stage is offset in the impulse
+  // response and all output is delayed by the latency
+  start = time - size + stage.offset + this.latency;
+
+  if (save) {
+    for (i = 0; i < size; i++) {
+      output[(start + i) & omask] += signal[size + i];
+    }
+  } else {
+    for (i = 0; i < n; i++) {
+      output[(start + i) & omask] += signal[i];
+    }
+  }
+};
+
+/**
+ * Process a given interleaved or mono non-interleaved float value Array and
+ * returns the convolved audio.
+ *
+ * @param {Array} samples Array containing Float values or a Float32Array
+ *
+ * @returns A new Float32Array interleaved or mono non-interleaved as was fed to this function.
+ */
+Convolver.prototype.process = function(samples) {
+  var channels      = this.channels,
+      blockSize     = this.blockSize,
+      stages        = this.stages,
+      frames        = samples.length / channels,
+      outputSamples = new Float32Array(samples.length),
+      hmask         = this.historySize - 1,
+      omask         = this.outputSize - 1,
+      time          = this.time,
+      pos           = 0,
+      n, c, i, j, history, output;
+
+  while (pos < frames) {
+    n = Math.min(blockSize - (time % blockSize), frames - pos);
+
+    for (c = 0; c < channels; c++) {
+      history = this.state[c].history;
+      output  = this.state[c].output;
+
+      for (i = 0; i < n; i++) {
+        history[(time + i) & hmask] = samples[(pos + i) * channels + c];
+        outputSamples[(pos + i) * channels + c] = output[(time + i) & omask];
+        output[(time + i) & omask] = 0;
+      }
+    }
+
+    time = (time + n) % this.period;
+    pos += n;
+
+    if (time % blockSize === 0) {
+      for (j = 0; j < stages.length; j++) {
+        if (time % stages[j].blockSize === 0) {
+          for (c = 0; c < channels; c++) {
+            this.processStage(c, j, time);
+          }
+        }
+      }
+    }
+  }
+
+  this.time = time;
+
+  return outputSamples;
+};
+
+/**
+ * ConvolutionReverb is a reverb which convolves the signal with a recorded
+ * impulse response, using a Convolver.
+ *
+ * The impulse response is given as Float32Arrays:
+ *
+ *   ir                    Mono, used for both channels
+ *   [left, right]         Stereo, each channel convolved with its own response
+ *   [LL, LR, RL, RR]      True stereo, XY being the response from input
+ *                         channel X to output channel Y
+ *
+ * The convolution delays the reverb signal by this.latency samples (the
+ * block size), so the effective pre-delay is never shorter than that.
+ *
+ * Compatible with interleaved stereo buffers only!
+ *
+ * @param {Array}  impulse              The impulse response (see above)
+ * @param {Number} maxPreDelayInSamples Maximum possible pre-delay in samples
+ * @param {Number} preDelayInSamples    Initial pre-delay of the reverb signal in samples
+ * @param {Number} masterVolume         Initial master volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
+ * @param {Number} mixVolume            Initial reverb (wet) signal mix volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
+ * @param {Number} dryVolume            Initial original (dry) signal mix volume. Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
+ * @param {Number} blockSize            The convolution block size. Must be power of 2 (default 128)
+ *
+ * @constructor
+ */
+function ConvolutionReverb(impulse, maxPreDelayInSamples, preDelayInSamples, masterVolume, mixVolume, dryVolume, blockSize) {
+  this.blockSize    = blockSize || 128;
+  this.latency      = this.blockSize;
+  this.masterVolume = masterVolume;
+  this.mixVolume    = mixVolume;
+  this.dryVolume    = dryVolume;
+
+  // Pre-delay on the interleaved reverb input, in samples of both channels
+  this.preDelay = new SingleDelay(2 * (maxPreDelayInSamples || 0) + 2, 0, 1.0);
+  this.setPreDelay(preDelayInSamples || 0);
+
+  this.setImpulse(impulse);
+}
+
+/**
+ * Returns copies of the impulse response channels with the leading and
+ * trailing samples below threshold times the peak (of all channels) removed.
+ *
+ * @param {Array}  channels  An Array of impulse response channels
+ * @param {Number} threshold Float value relative to the peak, eg. 0.001 (-60 dB)
+ *
+ * @returns An Array of trimmed Float32Arrays
+ */
+ConvolutionReverb.trimImpulse = function(channels, threshold) {
+  var peak = 0,
+      start = Infinity,
+      end = 0,
+      trimmed = [],
+      c, i, limit;
+
+  for (c = 0; c < channels.length; c++) {
+    peak = Math.max(peak, DSP.Peak(channels[c]));
+  }
+
+  limit = peak * threshold;
+
+  for (c = 0; c < channels.length; c++) {
+    for (i = 0; i < channels[c].length; i++) {
+      if (Math.abs(channels[c][i]) > limit) {
+        start = Math.min(start, i);
+        end = Math.max(end, i + 1);
+      }
+    }
+  }
+
+  if (start === Infinity) {
+    start = end = 0;
+  }
+
+  for (c = 0; c < channels.length; c++) {
+    trimmed[c] = new Float32Array(Math.max(1, end - start));
+
+    for (i = start; i < end; i++) {
+      trimmed[c][i - start] = channels[c][i];
+    }
+  }
+
+  return trimmed;
+};
+
+/**
+ * Returns copies of the impulse response channels scaled so that the
+ * loudest output channel has unit energy, ie. white noise keeps its level.
+ *
+ * @param {Array} channels An Array of impulse response channels ([ir], [left, right] or [LL, LR, RL, RR])
+ *
+ * @returns An Array of normalized Float32Arrays
+ */
+ConvolutionReverb.normalizeImpulse = function(channels) {
+  var energy = [0, 0],
+      normalized = [],
+      output, scale, c, i;
+
+  for (c = 0; c < channels.length; c++) {
+    // Output channel of this response: LL and RL feed left, LR and RR right
+    output = channels.length === 4 ? c % 2 : c;
+
+    for (i = 0; i < channels[c].length; i++) {
+      energy[output] += channels[c][i] * channels[c][i];
+    }
+  }
+
+  scale = Math.max(energy[0], energy[1]);
+  scale = scale > 0 ? 1 / Math.sqrt(scale) : 1;
+
+  for (c = 0; c < channels.length; c++) {
+    normalized[c] = new Float32Array(channels[c].length);
+
+    for (i = 0; i < channels[c].length; i++) {
+      normalized[c][i] = channels[c][i] * scale;
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * Change the impulse response. Clears the reverb tail.
+ *
+ * @param {Array}   impulse   The impulse response (Float32Array, [left, right] or [LL, LR, RL, RR])
+ * @param {Number}  threshold Trim samples below threshold times the peak from both ends (optional)
+ * @param {Boolean} normalize When true scales the response to unit energy
+ */
+ConvolutionReverb.prototype.setImpulse = function(impulse, threshold, normalize) {
+  var channels = impulse instanceof Array ? impulse : [impulse];
+
+  if (channels.length !== 1 && channels.length !== 2 && channels.length !== 4) {
+    throw "The impulse response must have 1, 2 or 4 channels.";
+  }
+
+  if (threshold) {
+    channels = ConvolutionReverb.trimImpulse(channels, threshold);
+  }
+
+  if (normalize) {
+    channels = ConvolutionReverb.normalizeImpulse(channels);
+  }
+
+  this.impulse = channels;
+
+  if (channels.length === 4) {
+    // Straight paths LL and RR, and crossed paths RL and LR fed with swapped input
+    this.convolver = new Convolver([channels[0], channels[3]], this.blockSize, 2, DSP.NONUNIFORM);
+    this.crossConvolver = new Convolver([channels[2], channels[1]], this.blockSize, 2, DSP.NONUNIFORM);
+  } else {
+    this.convolver = new Convolver(channels.length === 1 ? channels[0] : channels, this.blockSize, 2, DSP.NONUNIFORM);
+    this.crossConvolver = null;
+  }
+};
+
+/**
+ * Change the pre-delay of the reverb signal.
+ *
+ * @param {Number} preDelayInSamples Pre-delay in samples
+ */
+ConvolutionReverb.prototype.setPreDelay = function(preDelayInSamples) {
+  var delay = 2 * Math.max(0, preDelayInSamples - this.latency);
+
+  if (delay >= this.preDelay.delayBufferSamples.length) {
+    throw "Pre-delay exceeds the maximum pre-delay.";
+  }
+
+  this.preDelayInSamples = preDelayInSamples;
+  this.preDelay.setDelayInSamples(delay);
+};
+
+/**
+ * Change the master volume.
+ *
+ * @param {Number} masterVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
+ */
+ConvolutionReverb.prototype.setMasterVolume = function(masterVolume) {
+  this.masterVolume = masterVolume;
+};
+
+/**
+ * Change the reverb (wet) signal mix level.
+ *
+ * @param {Number} mixVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
+ */
+ConvolutionReverb.prototype.setMixVolume = function(mixVolume) {
+  this.mixVolume = mixVolume;
+};
+
+/**
+ * Change the original (dry) signal mix level.
+ *
+ * @param {Number} dryVolume Float value: 0.0 (silence), 1.0 (normal), >1.0 (amplify)
+ */
+ConvolutionReverb.prototype.setDryVolume = function(dryVolume) {
+  this.dryVolume = dryVolume;
+};
+
+/**
+ * Process a given interleaved float value Array and copies and adds the reverb signal.
+ *
+ * @param {Array} samples Array containing Float values or a Float32Array
+ *
+ * @returns A new Float32Array interleaved buffer.
+ */
+ConvolutionReverb.prototype.process = function(interleavedSamples) {
+  var outputSamples = new Float32Array(interleavedSamples.length),
+      delayedSamples = this.preDelay.process(interleavedSamples),
+      wetSamples = this.convolver.process(delayedSamples),
+      crossSamples, left, i;
+
+  if (this.crossConvolver) {
+    // Swap the channels so each input channel meets its crossed response
+    for (i = 0; i < delayedSamples.length; i += 2) {
+      left = delayedSamples[i];
+      delayedSamples[i] = delayedSamples[i+1];
+      delayedSamples[i+1] = left;
+    }
+
+    crossSamples = this.crossConvolver.process(delayedSamples);
+
+    for (i = 0; i < wetSamples.length; i++) {
+      wetSamples[i] += crossSamples[i];
+    }
+  }
+
+  // Mix the original signal with the reverb signal and apply the master volume
+  for (i = 0; i < outputSamples.length; i++) {
+    outputSamples[i] = (wetSamples[i] * this.mixVolume + interleavedSamples[i] * this.dryVolume) * this.masterVolume;
+  }
+
+  return outputSamples;
+};
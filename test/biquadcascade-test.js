@@ -0,0 +1,54 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var sampleRate = 44100;
+var blockSize = 1024;
+
+// Gain in dB of a cascade at a frequency, with DSP.freqz
+var gainAt = function(cascade, frequency) {
+  return 20 * Math.log(cascade.response([DSP.TWO_PI * frequency / sampleRate])[0]) / Math.LN10;
+};
+
+var butterworth = new BiquadCascade(BiquadCascade.design(DSP.BUTTERWORTH, DSP.LOWPASS, 8, 1000, 0, sampleRate)),
+    chebyshev1  = new BiquadCascade(BiquadCascade.design(DSP.CHEBYSHEV1, DSP.HIGHPASS, 6, 1000, 0, sampleRate, 0.5)),
+    chebyshev2  = new BiquadCascade(BiquadCascade.design(DSP.CHEBYSHEV2, DSP.BANDSTOP, 4, 1000, 3000, sampleRate, 0, 40)),
+    elliptic    = new BiquadCascade(BiquadCascade.design(DSP.ELLIPTIC, DSP.BANDPASS, 5, 1000, 3000, sampleRate, 1, 80), 2);
+
+print('Butterworth lowpass 1 kHz, order 8: ' + butterworth.sections.length + ' sections, ' +
+      gainAt(butterworth, 1000) + ' dB at 1 kHz, ' + gainAt(butterworth, 2000) + ' dB at 2 kHz');
+print('Chebyshev I highpass 1 kHz, 0.5 dB: ' + gainAt(chebyshev1, 1000) + ' dB at 1 kHz, ' +
+      gainAt(chebyshev1, 500) + ' dB at 500 Hz');
+print('Chebyshev II bandstop 1-3 kHz, 40 dB: ' + gainAt(chebyshev2, 2000) + ' dB at 2 kHz, ' +
+      gainAt(chebyshev2, 100) + ' dB at 100 Hz');
+print('Elliptic bandpass 1-3 kHz, 1 dB, 80 dB: ' + gainAt(elliptic, 1000) + ' dB at 1 kHz, ' +
+      gainAt(elliptic, 2000) + ' dB at 2 kHz, ' + gainAt(elliptic, 500) + ' dB at 500 Hz');
+
+// Stereo stream in blocks against a single pass over each channel
+var left = new Oscillator(DSP.SAW, 440, 1, 8 * blockSize, sampleRate),
+    right = new Oscillator(DSP.SQUARE, 2000, 1, 8 * blockSize, sampleRate);
+
+left.generate();
+right.generate();
+
+var stereo = DSP.interleave(left.signal, right.signal),
+    output = new Float32Array(stereo.length);
+
+var calcCascade = function() {
+  elliptic.reset();
+
+  for (var b = 0; b < stereo.length / (2 * blockSize); b++) {
+    output.set(elliptic.process(stereo.subarray(2 * b * blockSize, 2 * (b + 1) * blockSize)), 2 * b * blockSize);
+  }
+};
+
+runTest(calcCascade, iterations);
+
+var mono = new BiquadCascade(elliptic.sections).process(right.signal),
+    maxError = 0;
+
+for (var i = 0; i < mono.length; i++) {
+  maxError = Math.max(maxError, Math.abs(output[2 * i + 1] - mono[i]));
+}
+
+print('Interleaved blocks against mono max error: ' + maxError);
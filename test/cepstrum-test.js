@@ -0,0 +1,63 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var bufferSize = 1024;
+var sampleRate = 8000;
+
+var cepstrum = new Cepstrum(bufferSize, sampleRate);
+var windowFunction = new WindowFunction(DSP.HANN);
+
+// A windowed 200 Hz tone of 14 harmonics
+var tone = new Float32Array(bufferSize);
+
+for (var i = 0; i < bufferSize; i++) {
+  for (var h = 1; h < 15; h++) {
+    tone[i] += Math.sin(2 * Math.PI * 200 * h * i / sampleRate) / h;
+  }
+
+  tone[i] *= windowFunction.func(bufferSize, i);
+}
+
+// A decaying oscillation with an echo 100 samples later
+var echo = new Float32Array(bufferSize);
+
+for (i = 0; i < bufferSize; i++) {
+  echo[i] = Math.exp(-i / 30) * Math.sin(0.3 * i);
+}
+
+for (i = bufferSize - 1; i >= 100; i--) {
+  echo[i] += 0.5 * echo[i - 100];
+}
+
+var calcReal = function() {
+  cepstrum.real(tone);
+};
+
+var calcComplex = function() {
+  cepstrum.complex(echo);
+  cepstrum.inverseComplex();
+};
+
+runTest(calcReal, iterations);
+runTest(calcComplex, iterations);
+
+cepstrum.real(tone);
+print('Pitch from the cepstrum peak: ' + sampleRate / cepstrum.peak(sampleRate / 500, sampleRate / 60) + ' Hz (expected 200)');
+
+cepstrum.real(echo);
+print('Echo delay from the cepstrum peak: ' + cepstrum.peak(20, 400) + ' samples (expected 100)');
+
+cepstrum.complex(echo);
+
+var signal = cepstrum.inverseComplex(),
+    maxError = 0;
+
+for (i = 0; i < bufferSize; i++) {
+  maxError = Math.max(maxError, Math.abs(signal[i] - echo[i]));
+}
+
+print('Complex cepstrum round trip max error: ' + maxError);
+
+var envelope = cepstrum.spectralEnvelope(tone, 20);
+print('Spectral envelope bands: ' + envelope.length + ', at 200 Hz: ' + envelope[25] + ', at 2 kHz: ' + envelope[256]);
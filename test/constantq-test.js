@@ -0,0 +1,37 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 20;
+var sampleRate = 22050;
+
+// C1 to about 5 kHz, a bin every third of a semitone
+var cq = new ConstantQ(32.70, 36, sampleRate, 5000);
+
+// A C major chord (C4, E4, G4)
+var notes = [261.63, 329.63, 392.00];
+var signal = new Float32Array(cq.bufferSize);
+
+for (var i = 0; i < signal.length; i++) {
+  for (var n = 0; n < notes.length; n++) {
+    signal[i] += Math.sin(2 * Math.PI * notes[n] * i / sampleRate);
+  }
+}
+
+var calcCQT = function() {
+  cq.forward(signal);
+};
+
+runTest(calcCQT, iterations);
+
+var names = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+    chroma = cq.chroma(),
+    found = [];
+
+for (var c = 0; c < 12; c++) {
+  if (chroma[c] > 0.5) {
+    found.push(names[c]);
+  }
+}
+
+print('Bins: ' + cq.bins + ', frame size: ' + cq.bufferSize);
+print('Pitch classes of C E G: ' + found.join(' '));
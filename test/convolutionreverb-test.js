@@ -0,0 +1,122 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+
+// Uniform noise from a fixed seed, so that every run prints the same errors
+var seed = 1;
+
+var random = function() {
+  seed = (seed * 16807) % 2147483647;
+  return 2 * seed / 2147483647 - 1;
+};
+
+// Two second true stereo impulse response of decaying noise
+var impulse = [];
+
+for (var c = 0; c < 4; c++) {
+  impulse[c] = new Float32Array(2 * rate);
+
+  for (var i = 0; i < impulse[c].length; i++) {
+    impulse[c][i] = random() * Math.exp(-6 * i / impulse[c].length);
+  }
+}
+
+var reverb = new ConvolutionReverb(impulse, rate, 1000, 0.8, 0.5, 1.0);
+reverb.setImpulse(impulse, 0.001, true);
+
+var calcConvolutionReverb = function() {
+  var fb = getFramebuffer();
+
+  reverb.process(fb);
+};
+
+runTest(calcConvolutionReverb, iterations);
+
+// Direct convolution of an interleaved stereo signal with a true stereo
+// response, delayed by preDelay frames
+var naiveReverb = function(input, ir, preDelay, mixVolume, dryVolume, masterVolume) {
+  var frames = input.length / 2,
+      output = new Float32Array(input.length),
+      n, k, wetL, wetR;
+
+  for (n = 0; n < frames; n++) {
+    wetL = 0;
+    wetR = 0;
+
+    for (k = 0; k < ir[0].length && k <= n - preDelay; k++) {
+      wetL += ir[0][k] * input[2 * (n - preDelay - k)] + ir[2][k] * input[2 * (n - preDelay - k) + 1];
+      wetR += ir[1][k] * input[2 * (n - preDelay - k)] + ir[3][k] * input[2 * (n - preDelay - k) + 1];
+    }
+
+    output[2 * n]     = (wetL * mixVolume + input[2 * n] * dryVolume) * masterVolume;
+    output[2 * n + 1] = (wetR * mixVolume + input[2 * n + 1] * dryVolume) * masterVolume;
+  }
+
+  return output;
+};
+
+var shortImpulse = [];
+
+for (c = 0; c < 4; c++) {
+  shortImpulse[c] = new Float32Array(700);
+
+  for (i = 0; i < shortImpulse[c].length; i++) {
+    shortImpulse[c][i] = random() * Math.exp(-6 * i / shortImpulse[c].length);
+  }
+}
+
+var input = new Float32Array(2 * 4096);
+
+for (i = 0; i < input.length; i++) {
+  input[i] = random();
+}
+
+var small = new ConvolutionReverb(shortImpulse, 1000, 300, 0.8, 0.5, 0.7, 128),
+    output = new Float32Array(input.length),
+    expected = naiveReverb(input, shortImpulse, 300, 0.5, 0.7, 0.8),
+    maxError = 0;
+
+for (var b = 0; b < input.length; b += 256) {
+  output.set(small.process(input.subarray(b, b + 256)), b);
+}
+
+for (i = 0; i < output.length; i++) {
+  maxError = Math.max(maxError, Math.abs(output[i] - expected[i]));
+}
+
+print('True stereo dry/wet against direct convolution max error: ' + maxError);
+
+// Pre-delay changed after processing has started: an impulse on the left
+// must come back on the left, preDelay frames later
+var preDelayOnset = function(preDelay) {
+  var delayed = new ConvolutionReverb(new Float32Array([1]), 4000, 500, 1.0, 1.0, 0.0, 128),
+      silence = new Float32Array(256),
+      block, wet, j;
+
+  for (j = 0; j < 30; j++) {
+    delayed.process(silence);
+  }
+
+  delayed.setPreDelay(preDelay);
+
+  for (j = 0; j < 40; j++) {
+    block = new Float32Array(256);
+
+    if (j === 0) {
+      block[20] = 1;
+    }
+
+    wet = delayed.process(block);
+
+    for (var s = 0; s < wet.length; s++) {
+      if (wet[s] > 0.5) {
+        return 'frame ' + (j * 128 + Math.floor(s / 2) - 10) + (s % 2 ? ' right' : ' left');
+      }
+    }
+  }
+
+  return 'none';
+};
+
+print('Pre-delay set to 1999 while running: onset at ' + preDelayOnset(1999) + ', 1337: ' + preDelayOnset(1337));
@@ -0,0 +1,87 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+
+// Uniform noise from a fixed seed, so that every run prints the same errors
+var seed = 1;
+
+var random = function() {
+  seed = (seed * 16807) % 2147483647;
+  return 2 * seed / 2147483647 - 1;
+};
+
+// One second decaying noise impulse response
+var impulse = new Float32Array(rate);
+
+for (var i = 0; i < impulse.length; i++) {
+  impulse[i] = random() * Math.exp(-6 * i / impulse.length);
+}
+
+var convolver = new Convolver(impulse, 256, 2, DSP.NONUNIFORM);
+
+var calcConvolver = function() {
+  var fb = getFramebuffer();
+
+  convolver.process(fb);
+};
+
+runTest(calcConvolver, iterations);
+
+// Every method and partitioning against direct convolution of a stereo
+// stream, delayed by the latency and fed in odd sized blocks
+var left = new Float32Array(3000),
+    right = new Float32Array(3000),
+    input = new Float32Array(2 * 12000);
+
+for (i = 0; i < left.length; i++) {
+  left[i] = random() * Math.exp(-6 * i / left.length);
+  right[i] = random() * Math.exp(-6 * i / right.length);
+}
+
+for (i = 0; i < input.length; i++) {
+  input[i] = random();
+}
+
+var expected = new Float32Array(input.length),
+    latency = 64,
+    n, k;
+
+for (n = latency; n < input.length / 2; n++) {
+  var sumL = 0, sumR = 0;
+
+  for (k = 0; k < left.length && k <= n - latency; k++) {
+    sumL += left[k] * input[2 * (n - latency - k)];
+    sumR += right[k] * input[2 * (n - latency - k) + 1];
+  }
+
+  expected[2 * n] = sumL;
+  expected[2 * n + 1] = sumR;
+}
+
+var configurations = [
+  ['overlap-save, uniform', DSP.OVERLAP_SAVE, DSP.UNIFORM],
+  ['overlap-add, uniform', DSP.OVERLAP_ADD, DSP.UNIFORM],
+  ['overlap-save, nonuniform', DSP.OVERLAP_SAVE, DSP.NONUNIFORM],
+  ['overlap-add, nonuniform', DSP.OVERLAP_ADD, DSP.NONUNIFORM]
+];
+
+for (var c = 0; c < configurations.length; c++) {
+  var stereo = new Convolver([left, right], latency, 2, configurations[c][2], configurations[c][1], 512),
+      output = new Float32Array(input.length),
+      maxError = 0,
+      offset = 0;
+
+  while (offset < input.length) {
+    var end = Math.min(input.length, offset + 2 * 77);
+
+    output.set(stereo.process(input.subarray(offset, end)), offset);
+    offset = end;
+  }
+
+  for (i = 0; i < output.length; i++) {
+    maxError = Math.max(maxError, Math.abs(output[i] - expected[i]));
+  }
+
+  print(configurations[c][0] + ' against direct convolution max error: ' + maxError);
+}
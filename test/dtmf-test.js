@@ -0,0 +1,58 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var sampleRate = 8000;
+var toneSize = 800; // 100 ms tones separated by 100 ms of silence
+
+// Dial "159#" with sine oscillators
+var number = "159#",
+    signal = new Float32Array(number.length * 2 * toneSize);
+
+for (var d = 0; d < number.length; d++) {
+  for (var r = 0; r < 4; r++) {
+    for (var c = 0; c < 4; c++) {
+      if (DTMFDecoder.KEYS[r][c] === number.charAt(d)) {
+        var low  = new Oscillator(DSP.SINE, DTMFDecoder.ROW_FREQUENCIES[r], 0.4, toneSize, sampleRate),
+            high = new Oscillator(DSP.SINE, DTMFDecoder.COL_FREQUENCIES[c], 0.4, toneSize, sampleRate);
+
+        low.generate();
+        high.generate();
+        signal.set(low.add(high), d * 2 * toneSize);
+      }
+    }
+  }
+}
+
+var decoder = new DTMFDecoder(sampleRate);
+var digits;
+
+var calcDTMF = function() {
+  decoder.reset();
+  digits = decoder.process(signal);
+};
+
+runTest(calcDTMF, iterations);
+
+print('Dialed: ' + number + ', decoded: ' + digits);
+
+// A "5" with the high group tone twist dB louder than the low group one,
+// lasting the given number of samples after a reset
+var five = function(twist, length) {
+  var low  = new Oscillator(DSP.SINE, DTMFDecoder.ROW_FREQUENCIES[1], 0.2, length, sampleRate),
+      high = new Oscillator(DSP.SINE, DTMFDecoder.COL_FREQUENCIES[1], 0.2 * Math.pow(10, twist / 20), length, sampleRate);
+
+  low.generate();
+  high.generate();
+  decoder.reset();
+
+  return '"' + decoder.process(low.add(high)) + '"';
+};
+
+// Twist limits of 8 dB (high group louder) and 4 dB (low group louder)
+print('Normal twist 6 dB: ' + five(6, toneSize) + ' (expected "5"), 10 dB: ' + five(10, toneSize) + ' (expected "")');
+print('Reverse twist 3 dB: ' + five(-3, toneSize) + ' (expected "5"), 6 dB: ' + five(-6, toneSize) + ' (expected "")');
+
+// 40 ms minimum duration, two blocks of 205 samples at 8 kHz: a 35 ms burst
+// fills a single block
+print('Burst of 60 ms: ' + five(0, 480) + ' (expected "5"), 35 ms: ' + five(0, 280) + ' (expected "")');
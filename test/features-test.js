@@ -0,0 +1,113 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var bufferSize = 2048;
+var sampleRate = 44100;
+
+var fft = new FFT(bufferSize, sampleRate);
+var features = new SpectralFeatures(bufferSize, sampleRate);
+
+// A sine centered on band 128 (2756.25 Hz), so the spectrum is a single line
+var sine = new Float32Array(bufferSize);
+
+for (var i = 0; i < bufferSize; i++) {
+  sine[i] = Math.sin(2 * Math.PI * 128 * i / bufferSize);
+}
+
+// Uniform white noise from a fixed seed
+var noise = new Float32Array(bufferSize),
+    seed = 1;
+
+for (i = 0; i < bufferSize; i++) {
+  seed = (seed * 16807) % 2147483647;
+  noise[i] = 2 * seed / 2147483647 - 1;
+}
+
+var calcFeatures = function() {
+  features.reset();
+  fft.forward(noise);
+  features.process(fft, noise);
+};
+
+runTest(calcFeatures, iterations);
+
+// Prints the error against a reference value, and FAILED when it is larger
+// than the tolerance
+var check = function(name, value, expected, tolerance) {
+  var error = Math.abs(value - expected);
+
+  print(name + ': ' + value + ', error ' + error + ' (tolerance ' + tolerance + ')' + (error > tolerance ? ' FAILED' : ''));
+};
+
+// The definitions on an ideal spectrum: a single line on band 128
+var line = new Float32Array(bufferSize / 2);
+line[128] = 1;
+
+var result = features.process(line);
+
+check('Line centroid', result.centroid, 128 * sampleRate / bufferSize, 1e-9);
+check('Line spread', result.spread, 0, 1e-9);
+check('Line rolloff', result.rolloff, 128 * sampleRate / bufferSize, 1e-9);
+check('Line flatness', result.flatness, 0, 1e-9);
+check('Line crest', result.crest, bufferSize / 2, 1e-9);
+check('Line flux of a repeated frame', features.flux(line), 0, 1e-9);
+
+// A sine centered on band 128 through the single precision FFT: rounding
+// leaves magnitudes of up to 2e-6 in the other bands, which weigh on the
+// spread as their deviations reach 20 kHz, so it gets a few bands of tolerance
+fft.forward(sine);
+features.reset();
+
+result = features.process(fft, sine);
+
+check('Sine centroid', result.centroid, 2756.25, 1);
+check('Sine spread', result.spread, 0, 4 * sampleRate / bufferSize);
+check('Sine rolloff', result.rolloff, 2756.25, 0);
+check('Sine flatness', result.flatness, 0, 1e-6);
+check('Sine crest', result.crest, bufferSize / 2, 0.1);
+
+// 128 periods starting at 0 change sign 255 times, the first sample is not
+// a crossing
+check('Sine zero-crossing rate', result.zeroCrossingRate, (2 * 128 - 1) / (bufferSize - 1), 1e-9);
+check('Sine flux of a repeated frame', features.flux(fft), 0, 1e-9);
+
+fft.forward(noise);
+
+result = features.process(fft, noise);
+
+// Statistical references, for a single frame of 1024 bands: the periodogram
+// of white noise is exponentially distributed, so its flatness tends to
+// exp(-Euler's constant) with a standard deviation of about 4%, and the
+// zero-crossing rate of 2047 independent pairs has one of about 0.011
+check('Noise centroid', result.centroid, sampleRate / 4, 0.02 * sampleRate / 4);
+check('Noise rolloff', result.rolloff, 0.85 * sampleRate / 2, 0.02 * sampleRate / 2);
+check('Noise flatness', result.flatness, Math.exp(-0.5772), 0.1 * Math.exp(-0.5772));
+check('Noise zero-crossing rate', result.zeroCrossingRate, 0.5, 0.03);
+
+// Every band of silence holds the log energy floor, so only the first
+// coefficient is non zero
+result = features.process(new Float32Array(bufferSize / 2));
+
+check('Silence MFCC 0', result.mfcc[0], Math.sqrt(40) * Math.log(1e-10), 1e-4);
+check('Silence MFCC 1', result.mfcc[1], 0, 1e-4);
+
+// MFCCs of the noise frame against a direct orthonormal DCT-II, in double
+// precision, of the log energies of the mel bands
+fft.forward(noise);
+
+var mfcc = features.process(fft, noise).mfcc,
+    energies = features.filterbank.process(fft, true),
+    bands = energies.length,
+    reference, b, k;
+
+for (k = 0; k < mfcc.length; k++) {
+  reference = 0;
+
+  for (b = 0; b < bands; b++) {
+    reference += Math.log(energies[b] + 1e-10) * Math.cos(Math.PI / bands * (b + 0.5) * k);
+  }
+
+  reference *= Math.sqrt((k === 0 ? 1 : 2) / bands);
+  check('Noise MFCC ' + k, mfcc[k], reference, 1e-4);
+}
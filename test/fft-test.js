@@ -12,3 +12,20 @@ var calcFFT = function() {
 };
 
 runTest(calcFFT, iterations);
+
+// Complex round trip, inverse(forward(x)) == x
+var bufferSize = frameBufferLength / channels,
+    fb         = getFramebuffer(),
+    real       = new Float32Array(DSP.getChannel(DSP.LEFT, fb)),
+    imag       = new Float32Array(DSP.getChannel(DSP.RIGHT, fb)),
+    resynthImag = new Float32Array(bufferSize),
+    maxError   = 0;
+
+fft.forward(real, imag);
+var resynthReal = fft.inverse(null, null, resynthImag);
+
+for (var i = 0; i < bufferSize; i++) {
+  maxError = Math.max(maxError, Math.abs(resynthReal[i] - real[i]), Math.abs(resynthImag[i] - imag[i]));
+}
+
+print('Max complex round trip error: ' + maxError);
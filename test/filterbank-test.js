@@ -0,0 +1,57 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 1000;
+var bufferSize = 2048;
+var sampleRate = 16000;
+
+var fft = new FFT(bufferSize, sampleRate);
+var signal = new Float32Array(bufferSize);
+
+for (var i = 0; i < bufferSize; i++) {
+  signal[i] = Math.sin(2 * Math.PI * 1000 * i / sampleRate);
+}
+
+fft.forward(signal);
+
+var scales = { 'HTK mel': DSP.MEL_HTK, 'Slaney mel': DSP.MEL_SLANEY, 'Bark': DSP.BARK, 'ERB': DSP.ERB },
+    filterbanks = {},
+    name;
+
+for (name in scales) {
+  filterbanks[name] = new Filterbank(scales[name], 24, bufferSize, sampleRate, 50, 8000);
+}
+
+var calcFilterbanks = function() {
+  for (var name in filterbanks) {
+    filterbanks[name].process(fft, true);
+  }
+};
+
+runTest(calcFilterbanks, iterations);
+
+for (name in scales) {
+  var filterbank = filterbanks[name],
+      energies = filterbank.process(fft, true),
+      loudest = 0,
+      roundTrip = Filterbank.scaleToHz(scales[name], Filterbank.hzToScale(scales[name], 1000));
+
+  for (var b = 1; b < filterbank.bands; b++) {
+    if (energies[b] > energies[loudest]) {
+      loudest = b;
+    }
+  }
+
+  print(name + ': 1 kHz loudest in band ' + loudest + ' (' + filterbank.edges[loudest] + ' to ' +
+        filterbank.edges[loudest + 2] + ' Hz), 1000 Hz round trip ' + roundTrip);
+}
+
+// Slaney filters have unit area
+var slaney = filterbanks['Slaney mel'],
+    area = 0;
+
+for (var k = 0; k < bufferSize / 2; k++) {
+  area += slaney.filters[10][k] * sampleRate / bufferSize;
+}
+
+print('Slaney band 10 area: ' + area + ' (expected about 1)');
@@ -0,0 +1,64 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var sampleRate = 44100;
+var blockSize = 1024;
+
+// Gain in dB of an impulse response at a frequency
+var gainAt = function(coefficients, frequency) {
+  var real = 0, imag = 0;
+
+  for (var i = 0; i < coefficients.length; i++) {
+    real += coefficients[i] * Math.cos(2 * Math.PI * frequency / sampleRate * i);
+    imag -= coefficients[i] * Math.sin(2 * Math.PI * frequency / sampleRate * i);
+  }
+
+  return 10 * Math.log(real * real + imag * imag) / Math.LN10;
+};
+
+var lowpass  = FIRFilter.design(DSP.LOWPASS, 101, 2000, 0, sampleRate, DSP.HAMMING),
+    highpass = FIRFilter.design(DSP.HIGHPASS, 101, 2000, 0, sampleRate, DSP.BLACKMAN),
+    bandpass = FIRFilter.design(DSP.BANDPASS, 201, 1000, 3000, sampleRate),
+    bandstop = FIRFilter.design(DSP.BANDSTOP, 201, 1000, 3000, sampleRate),
+    kaiser   = FIRFilter.kaiserDesign(DSP.LOWPASS, 5000, 0, 0.001, 1000, sampleRate);
+
+print('Lowpass 2 kHz: ' + gainAt(lowpass, 500) + ' dB at 500 Hz, ' + gainAt(lowpass, 5000) + ' dB at 5 kHz');
+print('Highpass 2 kHz: ' + gainAt(highpass, 500) + ' dB at 500 Hz, ' + gainAt(highpass, 5000) + ' dB at 5 kHz');
+print('Bandpass 1-3 kHz: ' + gainAt(bandpass, 2000) + ' dB at 2 kHz, ' + gainAt(bandpass, 500) + ' dB at 500 Hz');
+print('Bandstop 1-3 kHz: ' + gainAt(bandstop, 2000) + ' dB at 2 kHz, ' + gainAt(bandstop, 500) + ' dB at 500 Hz');
+print('Kaiser lowpass 5 kHz, 60 dB, 1 kHz transition: ' + kaiser.length + ' taps, ' +
+      gainAt(kaiser, 4500) + ' dB at 4.5 kHz, ' + gainAt(kaiser, 5500) + ' dB at 5.5 kHz');
+
+// Stereo stream in blocks against a single pass over each channel
+var left = new Oscillator(DSP.SAW, 440, 1, 8 * blockSize, sampleRate),
+    right = new Oscillator(DSP.SQUARE, 220, 1, 8 * blockSize, sampleRate);
+
+left.generate();
+right.generate();
+
+var stereo = DSP.interleave(left.signal, right.signal),
+    filter = new FIRFilter(lowpass, 2),
+    output = new Float32Array(stereo.length);
+
+var calcFIR = function() {
+  filter.reset();
+
+  for (var b = 0; b < stereo.length / (2 * blockSize); b++) {
+    output.set(filter.process(stereo.subarray(2 * b * blockSize, 2 * (b + 1) * blockSize)), 2 * b * blockSize);
+  }
+};
+
+runTest(calcFIR, iterations);
+
+var mono = new FIRFilter(lowpass).process(right.signal),
+    maxError = 0;
+
+for (var i = 0; i < mono.length; i++) {
+  maxError = Math.max(maxError, Math.abs(output[2 * i + 1] - mono[i]));
+}
+
+print('Interleaved blocks against mono max error: ' + maxError);
+
+print('Single tap Kaiser window: ' + WindowFunction.Kaiser(1, 0, 8) + ', single tap design: ' +
+      FIRFilter.design(DSP.LOWPASS, 1, 2000, 0, sampleRate, DSP.KAISER, 8)[0]);
@@ -0,0 +1,69 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var sampleRate = 44100;
+var bufferSize = 4096;
+var blockSize = 256;
+
+// A 1 kHz tone with a 5 Hz tremolo
+var signal = new Float32Array(bufferSize);
+
+for (var i = 0; i < bufferSize; i++) {
+  signal[i] = Math.cos(2 * Math.PI * 1000 * i / sampleRate) * (1 + 0.5 * Math.sin(2 * Math.PI * 5 * i / sampleRate));
+}
+
+var hilbert = new Hilbert(bufferSize, sampleRate);
+var fir = new HilbertFIR(255, sampleRate);
+var allpass = new HilbertAllpass(sampleRate);
+
+var stream = function(filter) {
+  var amplitude = new Float32Array(bufferSize),
+      frequency = new Float32Array(bufferSize);
+
+  filter.reset();
+
+  for (var b = 0; b < bufferSize / blockSize; b++) {
+    filter.process(signal.subarray(b * blockSize, (b + 1) * blockSize));
+    amplitude.set(filter.amplitude(), b * blockSize);
+    frequency.set(filter.frequency(), b * blockSize);
+  }
+
+  return { amplitude: amplitude, frequency: frequency };
+};
+
+var calcHilbert = function() {
+  hilbert.forward(signal);
+  hilbert.amplitude();
+  hilbert.frequency();
+};
+
+var calcFIR = function() {
+  stream(fir);
+};
+
+var calcAllpass = function() {
+  stream(allpass);
+};
+
+runTest(calcHilbert, iterations);
+runTest(calcFIR, iterations);
+runTest(calcAllpass, iterations);
+
+var report = function(name, result, delay) {
+  var amplitudeError = 0,
+      frequencyError = 0;
+
+  // Skip the block edges and the filter warm up
+  for (var j = 512; j < bufferSize - 512; j++) {
+    amplitudeError = Math.max(amplitudeError, Math.abs(result.amplitude[j] - (1 + 0.5 * Math.sin(2 * Math.PI * 5 * (j - delay) / sampleRate))));
+    frequencyError = Math.max(frequencyError, Math.abs(result.frequency[j] - 1000));
+  }
+
+  print(name + ' max envelope error: ' + amplitudeError + ', max frequency error: ' + frequencyError + ' Hz');
+};
+
+hilbert.forward(signal);
+report('Hilbert', { amplitude: hilbert.amplitude(), frequency: hilbert.frequency() }, 0);
+report('HilbertFIR', stream(fir), fir.delay);
+report('HilbertAllpass', stream(allpass), 0);
@@ -13,3 +13,25 @@ var calcIIRFilter = function() {
 };
 
 runTest(calcIIRFilter, iterations);
+
+// Gain in dB of each mode with a cutoff of 1 kHz, from a filtered sine
+var gainAt = function(type, frequency) {
+  var osc = new Oscillator(DSP.SINE, frequency, 1, 22050, 44100),
+      peak = 0;
+
+  osc.generate();
+  new IIRFilter(type, 1000, 2, 44100).process(osc.signal);
+
+  for (var i = 11025; i < osc.signal.length; i++) {
+    peak = Math.max(peak, Math.abs(osc.signal[i]));
+  }
+
+  return (20 * Math.log(peak) / Math.LN10).toFixed(2);
+};
+
+var modes = ['LP12', 'HP12', 'BP12', 'NOTCH12', 'LP24', 'HP24', 'BP24', 'NOTCH24'];
+
+for (var m = 0; m < modes.length; m++) {
+  print(modes[m] + ': ' + gainAt(DSP[modes[m]], 250) + ' dB at 250 Hz, ' + gainAt(DSP[modes[m]], 1000) +
+        ' dB at 1 kHz, ' + gainAt(DSP[modes[m]], 4000) + ' dB at 4 kHz');
+}
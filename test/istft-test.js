@@ -0,0 +1,74 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var stft = new STFT(1024, 256, rate, DSP.HANN);
+var istft = new ISTFT(1024, 256, rate, DSP.HANN);
+
+var calcISTFT = function() {
+  var fb     = getFramebuffer(),
+      signal = DSP.getChannel(DSP.MIX, fb);
+
+  istft.process(stft.process(signal));
+};
+
+runTest(calcISTFT, iterations);
+
+// Perfect reconstruction of unmodified frames
+var signal = new Float32Array(DSP.getChannel(DSP.MIX, getFramebuffer()));
+var resynth = istft.inverse(stft.forward(signal), signal.length);
+var maxError = 0;
+
+for (var i = 0; i < signal.length; i++) {
+  maxError = Math.max(maxError, Math.abs(resynth[i] - signal[i]));
+}
+
+print('Max reconstruction error: ' + maxError);
+
+// EQ by a bin mask on the magnitudes: a lowpass at 2 kHz removes 8 kHz
+var low = new Oscillator(DSP.SINE, 440, 0.5, 8192, rate),
+    high = new Oscillator(DSP.SINE, 8000, 0.5, 8192, rate),
+    mixed = new Float32Array(8192);
+
+low.generate();
+high.generate();
+
+for (i = 0; i < mixed.length; i++) {
+  mixed[i] = low.signal[i] + high.signal[i];
+}
+
+var frames = stft.forward(mixed),
+    cutoffBin = Math.round(2000 * 1024 / rate);
+
+for (var f = 0; f < frames.length; f++) {
+  for (var k = cutoffBin; k < frames[f].magnitude.length; k++) {
+    frames[f].magnitude[k] = 0;
+  }
+}
+
+var filtered = istft.inverse(frames, mixed.length);
+maxError = 0;
+
+for (i = 1024; i < mixed.length - 1024; i++) {
+  maxError = Math.max(maxError, Math.abs(filtered[i] - low.signal[i]));
+}
+
+print('Masked magnitudes against the 440 Hz sine alone max error: ' + maxError);
+
+// Frame sizes which are not a power of 2 (MixedRadixFFT), even and odd
+var sizes = [480, 441];
+
+for (var s = 0; s < sizes.length; s++) {
+  var size = sizes[s],
+      analyzer = new STFT(size, size / 4 | 0, rate, DSP.HANN),
+      synthesizer = new ISTFT(size, size / 4 | 0, rate, DSP.HANN);
+
+  resynth = synthesizer.inverse(analyzer.forward(signal), signal.length);
+  maxError = 0;
+
+  for (i = 0; i < signal.length; i++) {
+    maxError = Math.max(maxError, Math.abs(resynth[i] - signal[i]));
+  }
+
+  print('Frame size ' + size + ' max reconstruction error: ' + maxError);
+}
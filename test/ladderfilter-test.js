@@ -0,0 +1,101 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var sampleRate = 44100;
+
+var filter = new LadderFilter(1000, 0.5, sampleRate, 24, 2);
+
+var calcLadder = function() {
+  var fb     = getFramebuffer(),
+      signal = DSP.getChannel(DSP.MIX, fb);
+
+  filter.process(signal);
+};
+
+runTest(calcLadder, iterations);
+
+// Gain in dB of a quiet sine, where the stages are nearly linear
+var gainAt = function(frequency, resonance, slope) {
+  var osc = new Oscillator(DSP.SINE, frequency, 0.01, 22050, sampleRate),
+      peak = 0;
+
+  osc.generate();
+  new LadderFilter(1000, resonance, sampleRate, slope).process(osc.signal);
+
+  for (var i = 11025; i < osc.signal.length; i++) {
+    peak = Math.max(peak, Math.abs(osc.signal[i]));
+  }
+
+  return (20 * Math.log(peak / 0.01) / Math.LN10).toFixed(2);
+};
+
+var slopes = [6, 12, 18, 24];
+
+for (var s = 0; s < slopes.length; s++) {
+  print(slopes[s] + ' dB/oct at 1 kHz: ' + gainAt(1000, 0, slopes[s]) + ' dB at 1 kHz, ' + gainAt(4000, 0, slopes[s]) + ' dB at 4 kHz');
+}
+
+print('Resonance 0.9: ' + gainAt(1000, 0.9, 24) + ' dB at 1 kHz, ' + gainAt(100, 0.9, 24) + ' dB at 100 Hz');
+
+// Self-oscillation: the ring of an impulse one second later
+var ring = function(resonance) {
+  var buffer = new Float32Array(sampleRate),
+      peak = 0;
+
+  buffer[0] = 1;
+  new LadderFilter(1000, resonance, sampleRate).process(buffer);
+
+  for (var i = 3 * sampleRate / 4; i < sampleRate; i++) {
+    peak = Math.max(peak, Math.abs(buffer[i]));
+  }
+
+  return peak;
+};
+
+print('Impulse ring after 0.75 s, resonance 0.95: ' + ring(0.95) + ', resonance 1.05: ' + ring(1.05));
+
+// An envelope sweeping the cutoff three octaves up
+var sweep = new LadderFilter(200, 0.7, sampleRate, 24, 4),
+    envelope = new ADSR(0.05, 0.1, 0.5, 0.1, 0.2, sampleRate),
+    saw = new Oscillator(DSP.SAW, 110, 0.5, sampleRate / 2, sampleRate);
+
+saw.generate();
+sweep.addEnvelope(envelope, 3);
+sweep.process(saw.signal);
+
+print('Swept saw peak: ' + Math.max.apply(null, Array.prototype.slice.call(saw.signal)));
+
+// A modulation back at 0 must bring back this.cutoff: a Nyquist square
+// through a 200 Hz filter, after a first sample 3 octaves up
+var nyquistLeak = function(modulated) {
+  var square = new Float32Array(4410),
+      modulation = new Float32Array(square.length),
+      peak = 0;
+
+  for (var i = 0; i < square.length; i++) {
+    square[i] = i % 2 ? -1 : 1;
+  }
+
+  if (modulated) {
+    modulation[0] = 3;
+  }
+
+  new LadderFilter(200, 0, sampleRate, 24, 1).process(square, modulation);
+
+  for (i = 2205; i < square.length; i++) {
+    peak = Math.max(peak, Math.abs(square[i]));
+  }
+
+  return peak;
+};
+
+print('Nyquist square through 200 Hz: ' + nyquistLeak(false) + ', after modulation back to 0: ' + nyquistLeak(true));
+
+var worstFeedback = 0;
+
+for (var g = 0.001; g < 0.6; g += 0.001) {
+  worstFeedback = Math.max(worstFeedback, Math.abs(LadderFilter.feedbackGain(g) / LadderFilter.criticalFeedback(g) - 1));
+}
+
+print('Feedback table max relative error below g = 0.6: ' + worstFeedback);
@@ -0,0 +1,55 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var sampleRate = 8000;
+var frameSize = 256;
+
+// A second order autoregressive process driven by noise from a fixed seed,
+// x[n] = 1.3 x[n-1] - 0.8 x[n-2] + e[n], so a = [1, -1.3, 0.8]
+var signal = new Float32Array(16 * frameSize),
+    seed = 1;
+
+for (var i = 0; i < signal.length; i++) {
+  seed = (seed * 16807) % 2147483647;
+  signal[i] = 2 * seed / 2147483647 - 1;
+
+  if (i > 1) {
+    signal[i] += 1.3 * signal[i - 1] - 0.8 * signal[i - 2];
+  }
+}
+
+// A tone from an Oscillator, analyzed frame by frame
+var osc = new Oscillator(DSP.SAW, 200, 0.5, signal.length, sampleRate);
+osc.generate();
+
+var lpc = new LPC(12);
+var output = new Float32Array(signal.length);
+
+var calcLPC = function() {
+  lpc.reset();
+
+  for (var f = 0; f < signal.length / frameSize; f++) {
+    var frame = osc.signal.subarray(f * frameSize, (f + 1) * frameSize),
+        coefficients = new Float32Array(lpc.analyze(frame));
+
+    output.set(lpc.synthesize(lpc.residual(frame, coefficients), coefficients), f * frameSize);
+  }
+};
+
+runTest(calcLPC, iterations);
+
+var maxError = 0;
+
+for (i = 0; i < signal.length; i++) {
+  maxError = Math.max(maxError, Math.abs(output[i] - osc.signal[i]));
+}
+
+print('Residual and synthesis round trip max error: ' + maxError);
+
+var ar = new LPC(2, DSP.RECTANGULAR);
+ar.analyze(signal);
+
+print('AR(2) coefficients: ' + ar.coefficients[1] + ', ' + ar.coefficients[2] + ' (expected -1.3, 0.8)');
+print('AR(2) reflection coefficients: ' + ar.reflection[1] + ', ' + ar.reflection[2]);
+print('Prediction error power per sample: ' + ar.error / signal.length + ' (expected ' + 1 / 3 + ')');
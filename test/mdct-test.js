@@ -0,0 +1,45 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var frameSize = 2048;
+var hop = frameSize / 2;
+
+var mdct = new MDCT(frameSize, DSP.KBD);
+var signal = new Float32Array(16 * hop);
+
+for (var i = 0; i < signal.length; i++) {
+  signal[i] = Math.sin(2 * Math.PI * 440 * i / 44100) + 0.5 * Math.sin(2 * Math.PI * 3000 * i / 44100);
+}
+
+var output = new Float32Array(signal.length);
+
+var calcMDCT = function() {
+  mdct.reset();
+
+  for (var b = 0; b < signal.length / hop; b++) {
+    output.set(mdct.synthesize(mdct.analyze(signal.subarray(b * hop, (b + 1) * hop))), b * hop);
+  }
+};
+
+runTest(calcMDCT, iterations);
+
+// The output is delayed by one hop
+var maxError = 0;
+
+for (var j = hop; j < signal.length; j++) {
+  maxError = Math.max(maxError, Math.abs(output[j] - signal[j - hop]));
+}
+
+print('MDCT/IMDCT max reconstruction error: ' + maxError);
+
+var dct = new DCT(512);
+var buffer = signal.subarray(0, 512);
+var inverse = dct.inverse(dct.forward(buffer));
+var dctError = 0;
+
+for (var k = 0; k < 512; k++) {
+  dctError = Math.max(dctError, Math.abs(inverse[k] - buffer[k]));
+}
+
+print('DCT-II/DCT-III max reconstruction error: ' + dctError);
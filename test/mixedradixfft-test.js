@@ -0,0 +1,67 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+
+// 441 = 3*3*7*7 uses the mixed radix path, 1009 is prime and uses Bluestein
+var mixed = new MixedRadixFFT(441, rate);
+var prime = new MixedRadixFFT(1009, rate);
+
+var signal;
+
+var calcMixedRadixFFT = function() {
+  var fb = getFramebuffer();
+  signal = DSP.getChannel(DSP.MIX, fb);
+
+  mixed.forward(signal.subarray(0, 441));
+  prime.forward(signal.subarray(0, 1009));
+};
+
+runTest(calcMixedRadixFFT, iterations);
+
+var maxError = 0;
+var resynth = prime.inverse();
+
+for (var i = 0; i < 1009; i++) {
+  maxError = Math.max(maxError, Math.abs(resynth[i] - signal[i]));
+}
+
+print('Max round trip error: ' + maxError);
+
+// Forward transforms of a complex signal against a naive DFT: 360 = 4*2*3*3*5
+// and 441 on the mixed radix path, 97 and 1009 (primes) on the Bluestein path
+var sizes = [360, 441, 97, 1009];
+
+for (var s = 0; s < sizes.length; s++) {
+  var n = sizes[s],
+      fft = new MixedRadixFFT(n, rate),
+      real = new Float32Array(n),
+      imag = new Float32Array(n),
+      largest = 0,
+      dftReal, dftImag, k;
+
+  for (i = 0; i < n; i++) {
+    real[i] = signal[i];
+    imag[i] = Math.sin(0.37 * i) * Math.exp(-i / n);
+  }
+
+  fft.forward(real, imag);
+  maxError = 0;
+
+  for (k = 0; k < n; k++) {
+    dftReal = 0;
+    dftImag = 0;
+
+    for (i = 0; i < n; i++) {
+      var angle = -2 * Math.PI * ((k * i) % n) / n;
+      dftReal += real[i] * Math.cos(angle) - imag[i] * Math.sin(angle);
+      dftImag += real[i] * Math.sin(angle) + imag[i] * Math.cos(angle);
+    }
+
+    maxError = Math.max(maxError, Math.abs(fft.real[k] - dftReal), Math.abs(fft.imag[k] - dftImag));
+    largest = Math.max(largest, Math.sqrt(dftReal * dftReal + dftImag * dftImag));
+  }
+
+  print('Size ' + n + (fft.bluestein ? ' (Bluestein)' : ' (mixed radix)') + ' max error against naive DFT: ' + maxError +
+        ' (largest bin ' + largest + ')');
+}
@@ -13,3 +13,39 @@ var calcDelay = function() {
 };
 
 runTest(calcDelay, iterations);
+
+// The delay must hold its length through many wraps of the circular buffer,
+// also when it is one sample shorter than the buffer or changed while running
+var echoes = function(output) {
+  var times = [];
+
+  for (var i = 0; i < output.length; i++) {
+    if (Math.abs(output[i]) > 1e-9) {
+      times.push(i);
+    }
+  }
+
+  return times.join(', ');
+};
+
+var impulses = function(length, spacing) {
+  var input = new Float32Array(length);
+
+  for (var i = 0; i < length; i += spacing) {
+    input[i] = 1;
+  }
+
+  return input;
+};
+
+var feedback = new MultiDelay(100, 99, 1.0, 0.5);
+print('MultiDelay(100, 99) echoes: ' + echoes(feedback.process(impulses(500, 500))) + ' (expected every 99)');
+
+var single = new SingleDelay(100, 99, 1.0);
+print('SingleDelay(100, 99) of impulses every 150: ' + echoes(single.process(impulses(750, 150))) + ' (expected 99 + 150k)');
+
+single = new SingleDelay(100, 30, 1.0);
+single.process(new Float32Array(80));
+single.setDelayInSamples(25);
+print('SingleDelay(100, 30) set to 25 at sample 80, impulses every 150 from there: ' +
+      echoes(single.process(impulses(600, 150))) + ' (expected 25 + 150k)');
@@ -0,0 +1,82 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 5;
+var sampleRate = 44100;
+
+// Decaying harmonic notes starting at known samples
+var onsets = [11025, 33075, 50000, 65000, 80000],
+    frequencies = [220, 330, 440, 262, 523],
+    signal = new Float32Array(2 * sampleRate);
+
+for (var n = 0; n < onsets.length; n++) {
+  for (var i = onsets[n]; i < Math.min(signal.length, onsets[n] + 15000); i++) {
+    var t = (i - onsets[n]) / sampleRate,
+        amplitude = 0.8 * Math.exp(-(i - onsets[n]) / 2000);
+
+    for (var h = 1; h <= 3; h++) {
+      signal[i] += amplitude / h * Math.sin(2 * Math.PI * h * frequencies[n] * t);
+    }
+  }
+}
+
+var methods = { 'Spectral flux': DSP.SPECTRAL_FLUX, 'HFC': DSP.HFC, 'Complex domain': DSP.COMPLEX_DOMAIN, 'Energy': DSP.ENERGY },
+    detectors = {},
+    name;
+
+for (name in methods) {
+  detectors[name] = new OnsetDetector(methods[name], 1024, 256, sampleRate);
+}
+
+var calcOnsets = function() {
+  for (var name in detectors) {
+    detectors[name].detect(signal);
+  }
+};
+
+runTest(calcOnsets, iterations);
+
+print('Onsets: ' + onsets.join(', '));
+
+// The notes start with a zero sample, so they begin one sample later
+var maxError = function(found, expected) {
+  var error = found.length === expected.length ? 0 : Infinity;
+
+  for (var i = 0; i < found.length && error < Infinity; i++) {
+    error = Math.max(error, Math.abs(found[i] - expected[i] - 1));
+  }
+
+  return error;
+};
+
+for (name in methods) {
+  var found = detectors[name].detect(signal);
+  print(name + ': ' + found.join(', ') + ' (max error ' + maxError(found, onsets) + ' samples)');
+}
+
+// Streaming in blocks which are not a multiple of the hop size
+var detector = detectors['Spectral flux'],
+    streamed = [];
+
+detector.reset();
+
+for (i = 0; i < signal.length; i += 777) {
+  streamed = streamed.concat(detector.process(signal.subarray(i, Math.min(signal.length, i + 777))));
+}
+
+streamed = streamed.concat(detector.flush());
+
+print('Streamed in blocks of 777: ' + streamed.join(', ') + ' (max error ' + maxError(streamed, onsets) + ' samples)');
+
+// Notes over a sustained 110 Hz tone
+var background = new Float32Array(signal.length);
+
+for (i = 0; i < background.length; i++) {
+  background[i] = signal[i] + 0.2 * Math.sin(2 * Math.PI * 110 * i / sampleRate);
+}
+
+// Exactly the onset of the tone (sample 0, its sine rises from zero) and
+// the notes, no onset at the cut of the tone at the end of the stream
+found = detector.detect(background);
+print('Over a sustained tone: ' + found.join(', ') + ' (tone onset error ' + found[0] + ' samples, notes max error ' +
+      maxError(found.slice(1), onsets) + ' samples)' + (found.length === onsets.length + 1 ? '' : ' FAILED'));
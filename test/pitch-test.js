@@ -0,0 +1,49 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var bufferSize = 2048;
+var sampleRate = 44100;
+
+// A 220 Hz sawtooth-like tone of 8 harmonics
+var signal = new Float32Array(bufferSize);
+
+for (var i = 0; i < bufferSize; i++) {
+  for (var h = 1; h <= 8; h++) {
+    signal[i] += Math.sin(2 * Math.PI * 220 * h * i / sampleRate) / h;
+  }
+}
+
+// Uniform white noise from a fixed seed
+var noise = new Float32Array(bufferSize),
+    seed = 1;
+
+for (i = 0; i < bufferSize; i++) {
+  seed = (seed * 16807) % 2147483647;
+  noise[i] = 2 * seed / 2147483647 - 1;
+}
+
+var yin = new PitchDetector(DSP.YIN, bufferSize, sampleRate, 60, 1500);
+var acf = new PitchDetector(DSP.AUTOCORRELATION, bufferSize, sampleRate, 60, 1500);
+
+var calcYIN = function() {
+  yin.process(signal);
+};
+
+var calcACF = function() {
+  acf.process(signal);
+};
+
+runTest(calcYIN, iterations);
+runTest(calcACF, iterations);
+
+var report = function(name, detector) {
+  detector.process(signal);
+  print(name + ' 220 Hz tone: ' + detector.frequency + ' Hz, confidence ' + detector.confidence + ', voiced ' + detector.voiced);
+
+  detector.process(noise);
+  print(name + ' white noise: confidence ' + detector.confidence + ', voiced ' + detector.voiced);
+};
+
+report('YIN', yin);
+report('Autocorrelation', acf);
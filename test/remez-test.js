@@ -0,0 +1,55 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 10;
+var sampleRate = 44100;
+
+// Smallest and largest gain of a filter between two frequencies, with DSP.freqz
+var gainRange = function(coefficients, from, to) {
+  var w = new Float32Array(200),
+      min = Infinity,
+      max = 0;
+
+  for (var i = 0; i < w.length; i++) {
+    w[i] = 2 * Math.PI * (from + (to - from) * i / (w.length - 1)) / sampleRate;
+  }
+
+  var response = DSP.freqz(coefficients, [1], w);
+
+  for (i = 0; i < response.length; i++) {
+    min = Math.min(min, response[i]);
+    max = Math.max(max, response[i]);
+  }
+
+  return min.toFixed(5) + ' to ' + max.toFixed(5);
+};
+
+var lowpass, bandpass, highpass;
+
+var calcRemez = function() {
+  lowpass  = FIRFilter.remez(61, [0, 4000, 5000, 22050], [1, 0], [1, 10], sampleRate);
+  bandpass = FIRFilter.remez(101, [0, 2000, 2500, 6000, 6500, 22050], [0, 1, 0], [10, 1, 10], sampleRate);
+  highpass = FIRFilter.remez(51, [0, 3000, 5000, 22050], [0, 1], [1, 1], sampleRate);
+};
+
+runTest(calcRemez, iterations);
+
+print('Lowpass 4-5 kHz: passband ' + gainRange(lowpass, 0, 4000) + ', stopband ' + gainRange(lowpass, 5000, 22050));
+print('Bandpass 2.5-6 kHz: passband ' + gainRange(bandpass, 2500, 6000) + ', stopbands ' +
+      gainRange(bandpass, 0, 2000) + ' and ' + gainRange(bandpass, 6500, 22050));
+print('Highpass 3-5 kHz: passband ' + gainRange(highpass, 5000, 22050) + ', stopband ' + gainRange(highpass, 0, 3000));
+
+// Streamed through a FIRFilter, a 10 kHz tone is gone and a 1 kHz one passes
+var filter = new FIRFilter(lowpass),
+    low = new Oscillator(DSP.SINE, 1000, 1, 4096, sampleRate),
+    high = new Oscillator(DSP.SINE, 10000, 1, 4096, sampleRate);
+
+low.generate();
+high.generate();
+
+var lowOut = filter.process(low.signal);
+filter.reset();
+var highOut = filter.process(high.signal);
+
+print('1 kHz peak after filtering: ' + Math.max.apply(null, Array.prototype.slice.call(lowOut, 1024)));
+print('10 kHz peak after filtering: ' + Math.max.apply(null, Array.prototype.slice.call(highOut, 1024)));
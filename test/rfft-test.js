@@ -0,0 +1,53 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var bufferSize = frameBufferLength / channels;
+var rfft = new RFFT(bufferSize, rate);
+var fft = new FFT(bufferSize, rate);
+
+var signal, resynth;
+
+var calcRFFT = function() {
+  var fb = getFramebuffer();
+  signal = DSP.getChannel(DSP.MIX, fb);
+
+  rfft.forward(signal);
+  resynth = rfft.inverse();
+};
+
+runTest(calcRFFT, iterations);
+
+// Round trip against the complex FFT
+fft.forward(signal);
+var reference = fft.inverse();
+var maxError = 0;
+
+for (var i = 0; i < bufferSize; i++) {
+  maxError = Math.max(maxError, Math.abs(resynth[i] - reference[i]), Math.abs(resynth[i] - signal[i]));
+}
+
+print('Max round trip error: ' + maxError);
+
+// inverse() without arguments twice in a row must give the signal both times
+var again = rfft.inverse();
+maxError = 0;
+
+for (i = 0; i < bufferSize; i++) {
+  maxError = Math.max(maxError, Math.abs(again[i] - signal[i]));
+}
+
+print('Second inverse() max error: ' + maxError);
+
+// Magnitudes against the complex FFT (the imaginary part of bin i is x[n-i])
+var rfftSpectrum = rfft.forward(signal);
+
+fft.forward(signal);
+
+maxError = 0;
+
+for (i = 1; i < bufferSize / 2; i++) {
+  maxError = Math.max(maxError, Math.abs(rfftSpectrum[i] - fft.spectrum[i]));
+}
+
+print('Magnitudes against FFT max error: ' + maxError);
@@ -0,0 +1,63 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var fft = new FFT(frameBufferLength / channels, rate);
+
+fft.setOutputModes(DSP.POWER | DSP.DECIBELS | DSP.PHASE | DSP.UNWRAPPED_PHASE);
+
+var calcSpectrum = function() {
+  var fb     = getFramebuffer(),
+      signal = DSP.getChannel(DSP.MIX, fb);
+
+  fft.forward(signal);
+};
+
+runTest(calcSpectrum, iterations);
+
+print('Peak band: ' + fft.peakBand + ' (' + fft.decibels[fft.peakBand] + ' dBFS)');
+
+// Exact references: a unit sine and a cosine shifted by 0.7 radians on band
+// 64, and an impulse delayed by 3 samples, whose phase falls linearly by
+// 2*PI*3/N per band
+var n = frameBufferLength / channels,
+    sine = new Float32Array(n),
+    cosine = new Float32Array(n),
+    impulse = new Float32Array(n),
+    transforms = { 'FFT': fft, 'RFFT': new RFFT(n, rate) },
+    name, transform, area, maxError, i;
+
+for (i = 0; i < n; i++) {
+  sine[i] = Math.sin(2 * Math.PI * 64 * i / n);
+  cosine[i] = Math.cos(2 * Math.PI * 64 * i / n + 0.7);
+}
+
+impulse[3] = 1;
+
+for (name in transforms) {
+  transform = transforms[name];
+  transform.setOutputModes(DSP.POWER | DSP.DECIBELS | DSP.PHASE | DSP.UNWRAPPED_PHASE);
+
+  // The area under the power spectral density is the mean square, 0.5
+  transform.forward(sine);
+  area = 0;
+
+  for (i = 0; i < transform.power.length; i++) {
+    area += transform.power[i] * rate / n;
+  }
+
+  print(name + ' unit sine: PSD area ' + area + ' (expected 0.5), band 64 at ' + transform.decibels[64] + ' dBFS (expected 0)');
+
+  transform.forward(cosine);
+  print(name + ' cosine shifted by 0.7: phase of band 64 ' + transform.phase[64] + ' (expected 0.7)');
+
+  transform.forward(impulse);
+  maxError = 0;
+
+  for (i = 0; i < transform.unwrappedPhase.length; i++) {
+    maxError = Math.max(maxError, Math.abs(transform.unwrappedPhase[i] + 2 * Math.PI * 3 * i / n));
+  }
+
+  print(name + ' impulse delayed by 3: unwrapped phase max error ' + maxError + ', last band wrapped ' +
+        transform.phase[transform.phase.length - 1] + ' unwrapped ' + transform.unwrappedPhase[transform.phase.length - 1]);
+}
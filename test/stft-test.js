@@ -0,0 +1,81 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+var stft = new STFT(1024, 256, rate, DSP.HANN);
+
+var frames;
+
+var calcSTFT = function() {
+  var fb     = getFramebuffer(),
+      signal = DSP.getChannel(DSP.MIX, fb);
+
+  frames = stft.process(signal);
+};
+
+runTest(calcSTFT, iterations);
+
+print('Frames per block: ' + frames.length);
+
+// Every frame against a direct windowed FFT of the samples it should hold,
+// for each padding mode, with a hop which does not divide the signal length
+// and the signal streamed in blocks of 777 samples
+var length = 3001,
+    size   = 512,
+    hop    = 384,
+    signal = new Float32Array(length),
+    fft    = new FFT(size, rate),
+    hann   = new WindowFunction(DSP.HANN),
+    segment = new Float32Array(size),
+    modes  = { 'NOPAD': DSP.NOPAD, 'ZEROPAD': DSP.ZEROPAD, 'CENTERPAD': DSP.CENTERPAD },
+    counts = {},
+    name, analyzer, frames, offset, maxError, position, i, j, k;
+
+for (i = 0; i < length; i++) {
+  signal[i] = Math.sin(0.05 * i) + 0.5 * Math.sin(0.31 * i + 1) + i / length;
+}
+
+// Frame k starts at k * hop (half a frame earlier when centered). NOPAD
+// keeps whole frames, ZEROPAD goes on until every sample is in a frame,
+// CENTERPAD until the frame centers leave the signal.
+counts[DSP.NOPAD]     = Math.floor((length - size) / hop) + 1;
+counts[DSP.ZEROPAD]   = Math.ceil((length - size) / hop) + 1;
+counts[DSP.CENTERPAD] = Math.ceil(length / hop);
+
+for (name in modes) {
+  analyzer = new STFT(size, hop, rate, DSP.HANN, modes[name]);
+  frames = [];
+
+  for (i = 0; i < length; i += 777) {
+    frames = frames.concat(analyzer.process(signal.subarray(i, Math.min(length, i + 777))));
+  }
+
+  frames = frames.concat(analyzer.flush());
+
+  offset = modes[name] === DSP.CENTERPAD ? size / 2 : 0;
+  maxError = 0;
+
+  for (k = 0; k < frames.length; k++) {
+    position = k * hop - offset;
+
+    if (frames[k].index !== k || frames[k].position !== position) {
+      maxError = Infinity;
+    }
+
+    for (j = 0; j < size; j++) {
+      segment[j] = position + j >= 0 && position + j < length ? signal[position + j] * hann.func(size, j, hann.alpha) : 0;
+    }
+
+    fft.forward(segment);
+
+    for (j = 0; j < size; j++) {
+      maxError = Math.max(maxError, Math.abs(frames[k].real[j] - fft.real[j]), Math.abs(frames[k].imag[j] - fft.imag[j]));
+    }
+
+    for (j = 0; j <= size / 2; j++) {
+      maxError = Math.max(maxError, Math.abs(frames[k].magnitude[j] - Math.sqrt(fft.real[j] * fft.real[j] + fft.imag[j] * fft.imag[j])));
+    }
+  }
+
+  print(name + ': ' + frames.length + ' frames (expected ' + counts[modes[name]] + '), max error against direct FFT: ' + maxError);
+}
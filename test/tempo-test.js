@@ -0,0 +1,43 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 1;
+var sampleRate = 44100;
+
+// 10 seconds of clicks at 120 BPM over quiet noise, first beat at sample 1000
+var bpm = 120,
+    period = 60 / bpm * sampleRate,
+    signal = new Float32Array(10 * sampleRate),
+    seed = 1;
+
+for (var i = 0; i < signal.length; i++) {
+  seed = (seed * 16807) % 2147483647;
+  signal[i] = 0.01 * (2 * seed / 2147483647 - 1);
+}
+
+for (var beat = 1000; beat < signal.length; beat += period) {
+  for (var j = 0; j < 2000 && beat + j < signal.length; j++) {
+    signal[beat + j] += 0.8 * Math.exp(-j / 300) * (j % 2 ? 1 : -1);
+  }
+}
+
+var tracker = new TempoTracker(sampleRate);
+
+var calcTempo = function() {
+  tracker.reset();
+
+  // Odd sized blocks, the result only depends on the samples
+  for (var i = 0; i < signal.length; i += 1000) {
+    tracker.process(signal.subarray(i, Math.min(signal.length, i + 1000)));
+  }
+
+  tracker.flush();
+};
+
+runTest(calcTempo, iterations);
+
+var expectedBeat = 1000 + Math.floor((tracker.time - 1000) / period) * period;
+
+print('Tempo: ' + tracker.bpm + ' BPM (expected ' + bpm + '), confidence ' + tracker.confidence);
+print('Last beat: sample ' + tracker.lastBeat + ' (expected about ' + expectedBeat + '), phase ' + tracker.phase);
+print('Offline analysis: ' + tracker.analyze(signal) + ' BPM');
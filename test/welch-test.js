@@ -0,0 +1,55 @@
+load('audio-harness.js');
+load('dsp.js');
+
+var iterations = 100;
+
+// Concatenate the sample frames into one long signal
+var frames = 5,
+    size   = frameBufferLength / channels,
+    left   = new Float32Array(frames * size),
+    right  = new Float32Array(frames * size);
+
+for (var i = 0; i < frames; i++) {
+  var fb = getFramebuffer();
+  left.set(DSP.getChannel(DSP.LEFT, fb), i * size);
+  right.set(DSP.getChannel(DSP.RIGHT, fb), i * size);
+}
+
+var result;
+
+var calcWelch = function() {
+  result = DSP.welch(left, rate, 512, 256, DSP.HANN, right);
+};
+
+runTest(calcWelch, iterations);
+
+// The area under the PSD approximates the mean square of the signal
+var area = 0, meanSquare = 0;
+
+for (i = 0; i < result.psd.length; i++) {
+  area += result.psd[i] * rate / 512;
+}
+
+for (i = 0; i < left.length; i++) {
+  meanSquare += left[i] * left[i] / left.length;
+}
+
+print('Segments: ' + result.segments + ', PSD area: ' + area + ', mean square: ' + meanSquare);
+
+print('Band frequencies: DC ' + result.frequencies[0] + ' Hz, last ' + result.frequencies[result.frequencies.length - 1] +
+      ' Hz (Nyquist ' + rate / 2 + ' Hz)');
+
+// Segment sizes which are not a power of 2 (MixedRadixFFT), even and odd
+var sizes = [480, 441];
+
+for (var s = 0; s < sizes.length; s++) {
+  var other = DSP.welch(left, rate, sizes[s]);
+
+  area = 0;
+
+  for (i = 0; i < other.psd.length; i++) {
+    area += other.psd[i] * rate / sizes[s];
+  }
+
+  print('Segment size ' + sizes[s] + ': PSD area: ' + area + ', mean square: ' + meanSquare);
+}